@@ -1,26 +1,36 @@
-from fastapi import FastAPI
+from fastapi import FastAPI, Header, Request
+from fastapi.responses import StreamingResponse
 from fastapi.middleware.cors import CORSMiddleware
 from pydantic import BaseModel
-import httpx, os, statistics, time
+import asyncio, httpx, json, os, statistics, time
 from datetime import datetime, timedelta, timezone
 from dotenv import load_dotenv
 from supabase import create_client, Client
-from model import analyze_game
+from model import analyze_game, analyze_total, payout_per_dollar, american_to_decimal, decimal_to_american
 
 # === Load env ===
 load_dotenv()
 SUPABASE_URL = os.getenv("SUPABASE_URL")
-SUPABASE_KEY = os.getenv("SUPABASE_KEY")
+SUPABASE_KEY = os.getenv("SUPABASE_KEY")  # service role: bypasses row-level security
 ODDS_API_KEY = os.getenv("ODDS_API_KEY")
 
 ODDS_API_BASE = "https://api.the-odds-api.com/v4/sports"
-SUPPORTED_SPORTS = [
-    "americanfootball_nfl",
-    "americanfootball_ncaaf",
-    "basketball_nba",
-    "baseball_mlb",
-    "icehockey_nhl",
+STARTING_BANKROLL = 1000.0
+# Served by GET /sports in selector order. `three_way` leagues price a draw
+# in the moneyline (h2h) market.
+SPORTS = [
+    {"key": "americanfootball_nfl", "label": "NFL", "three_way": False},
+    {"key": "americanfootball_ncaaf", "label": "NCAAF", "three_way": False},
+    {"key": "basketball_nba", "label": "NBA", "three_way": False},
+    {"key": "baseball_mlb", "label": "MLB", "three_way": False},
+    {"key": "icehockey_nhl", "label": "NHL", "three_way": False},
+    {"key": "soccer_epl", "label": "Premier League", "three_way": True},
+    {"key": "soccer_usa_mls", "label": "MLS", "three_way": True},
+    {"key": "soccer_uefa_champs_league", "label": "Champions League", "three_way": True},
 ]
+SUPPORTED_SPORTS = {s["key"] for s in SPORTS}
+THREE_WAY_SPORTS = {s["key"] for s in SPORTS if s["three_way"]}
+MARKETS = ("moneyline", "spread", "totals")
 
 # === App ===
 app = FastAPI(title="LockBox AI", version="4.4")
@@ -35,14 +45,34 @@ supabase: Client = create_client(SUPABASE_URL, SUPABASE_KEY)
 
 # === Cache ===
 _odds_cache = {}
+_odds_locks = {}  # sport -> asyncio.Lock around a refresh
 CACHE_DURATION = 60  # seconds
+STREAM_HEARTBEAT = 15  # seconds between SSE keep-alives
 
 # === Schemas ===
 class AnalysisRequest(BaseModel):
     sport: str
     home_team: str
     away_team: str
-    market: str = "moneyline"  # "moneyline" or "spread"
+    market: str = "moneyline"  # "moneyline", "spread" or "totals"
+
+class BetLeg(BaseModel):
+    sport: str
+    home_team: str
+    away_team: str
+    market: str = "moneyline"
+    pick: str  # team name, "Draw", "Over" or "Under"
+    # Price and line the user confirmed; the bet is refused if either moved.
+    odds: float
+    spread_value: float | None = None
+    total_value: float | None = None
+
+class PlaceBetRequest(BaseModel):
+    stake: float
+    legs: list[BetLeg]  # one leg = straight bet, two or more = parlay
+
+class SettleRequest(BaseModel):
+    result: str  # "WIN", "LOSS" or "PUSH"
 
 # === Helpers ===
 def _parse_iso(ts: str):
@@ -56,21 +86,54 @@ def _parse_iso(ts: str):
 def _first_valid_bookmakers(game: dict):
     return game.get("bookmakers", []) or []
 
-def _h2h_prices(game: dict):
+def _book_lines(game: dict):
+    """Each bookmaker's moneyline (with draw), spread and total prices for the game."""
     home, away = game.get("home_team"), game.get("away_team")
+    out = []
     for bm in _first_valid_bookmakers(game):
+        line = {
+            "key": bm.get("key"),
+            "title": bm.get("title") or bm.get("key"),
+            "home_ml": None, "away_ml": None, "draw_ml": None,
+            "home_spread": None, "home_spread_price": None,
+            "away_spread": None, "away_spread_price": None,
+            "total": None, "over_price": None, "under_price": None,
+        }
         for m in bm.get("markets", []):
-            if m.get("key") != "h2h":
-                continue
-            home_ml = away_ml = None
             for o in m.get("outcomes", []):
-                if o.get("name") == home:
-                    home_ml = o.get("price")
-                elif o.get("name") == away:
-                    away_ml = o.get("price")
-            if home_ml is not None and away_ml is not None:
-                return home_ml, away_ml
-    return None, None
+                name, has_point = o.get("name"), isinstance(o.get("point"), (int, float))
+                if m.get("key") == "totals":
+                    if name in ("Over", "Under") and has_point:
+                        line["total"] = float(o["point"])
+                        line[f"{name.lower()}_price"] = o.get("price")
+                    continue
+                if m.get("key") == "h2h" and name == "Draw":
+                    line["draw_ml"] = o.get("price")
+                    continue
+                side = "home" if name == home else "away" if name == away else None
+                if side is None:
+                    continue
+                if m.get("key") == "h2h":
+                    line[f"{side}_ml"] = o.get("price")
+                elif m.get("key") == "spreads" and has_point:
+                    line[f"{side}_spread"] = float(o["point"])
+                    line[f"{side}_spread_price"] = o.get("price")
+        if any(line[k] is not None for k in ("home_ml", "home_spread", "total")):
+            out.append(line)
+    return out
+
+def _pays_more(price, than) -> bool:
+    return price is not None and (than is None or payout_per_dollar(price) > payout_per_dollar(than))
+
+def _best_h2h(game: dict):
+    """Best moneyline per outcome across books: {side: (price, book title)}.
+    "draw" stays (None, None) for two-way sports."""
+    best = {"home": (None, None), "away": (None, None), "draw": (None, None)}
+    for line in _book_lines(game):
+        for side in ("home", "away", "draw"):
+            if _pays_more(line[f"{side}_ml"], best[side][0]):
+                best[side] = (line[f"{side}_ml"], line["title"])
+    return best
 
 def _median_home_spread(game: dict):
     home, away = game.get("home_team"), game.get("away_team")
@@ -88,6 +151,99 @@ def _median_home_spread(game: dict):
     med = statistics.median(pts)
     return med, -med
 
+def _median_total(game: dict):
+    pts = [line["total"] for line in _book_lines(game) if line["total"] is not None]
+    return statistics.median(pts) if pts else None
+
+def _closest_price(game: dict, point_field: str, price_field: str, point: float):
+    """
+    Best price among the books whose line is closest to `point`, with that
+    book's own line: (price, line, book title). `point` is usually a median,
+    which no book need offer.
+    """
+    best = None
+    for line in _book_lines(game):
+        pt, price = line[point_field], line[price_field]
+        if pt is None or price is None:
+            continue
+        dist = abs(pt - point)
+        if best is None or dist < best[0] or (dist == best[0] and _pays_more(price, best[1])):
+            best = (dist, price, pt, line["title"])
+    return best[1:] if best else (None, None, None)
+
+def _spread_price(game: dict, team: str, point: float):
+    """Best price on `team` at the line closest to `point`: (price, line, book title)."""
+    side = "home" if team == game.get("home_team") else "away"
+    return _closest_price(game, f"{side}_spread", f"{side}_spread_price", point)
+
+def _total_price(game: dict, side: str, point: float):
+    """Best "over" or "under" price at the total closest to `point`: (price, line, book title)."""
+    return _closest_price(game, "total", f"{side}_price", point)
+
+def _find_game(data, home_team: str, away_team: str):
+    return next((g for g in data if g.get("home_team") == home_team and g.get("away_team") == away_team), None)
+
+def _pick_price(game: dict, market: str, pick: str):
+    """Best current price, line and book for `pick` in `market`, or Nones."""
+    home, away = game.get("home_team"), game.get("away_team")
+    if market == "totals":
+        total = _median_total(game)
+        if pick not in ("Over", "Under") or total is None:
+            return None, None, None
+        return _total_price(game, pick.lower(), total)
+    if market == "moneyline" and pick == "Draw":
+        price, book = _best_h2h(game)["draw"]
+        return price, None, book
+    if pick not in (home, away):
+        return None, None, None
+    if market == "spread":
+        home_sp, away_sp = _median_home_spread(game)
+        if home_sp is None:
+            return None, None, None
+        point = home_sp if pick == home else away_sp
+        return _spread_price(game, pick, point)
+    price, book = _best_h2h(game)["home" if pick == home else "away"]
+    return price, None, book
+
+def _user_id(authorization: str | None):
+    """
+    Resolve a `Bearer <access token>` header to a Supabase user id. This is a
+    blocking network call: async routes run it with asyncio.to_thread.
+    """
+    if not authorization or not authorization.lower().startswith("bearer "):
+        return None
+    try:
+        res = supabase.auth.get_user(authorization.split(" ", 1)[1])
+        return res.user.id if res and res.user else None
+    except Exception as e:
+        print(f"[AUTH] Token rejected: {e}")
+        return None
+
+def _current_bankroll(user_id: str):
+    """
+    Return the user's bankroll row, creating it on first use. A new user's
+    first card sends several requests at once, so creation ignores a row that
+    a parallel request already inserted.
+    """
+    br = supabase.table("bankroll").select("*").eq("user_id", user_id).limit(1).execute()
+    if br.data:
+        return br.data[0]
+    supabase.table("bankroll").upsert({
+        "user_id": user_id,
+        "amount": STARTING_BANKROLL,
+    }, on_conflict="user_id", ignore_duplicates=True).execute()
+    br = supabase.table("bankroll").select("*").eq("user_id", user_id).limit(1).execute()
+    return br.data[0]
+
+def _adjust_bankroll(user_id: str, delta: float):
+    """
+    Add `delta` to the user's bankroll in the database (migrations/005), so
+    parallel bets and settlements never write back a stale balance. Returns
+    the new amount, or None if it would go negative.
+    """
+    res = supabase.rpc("adjust_bankroll", {"p_user_id": user_id, "p_delta": delta}).execute()
+    return float(res.data) if res.data is not None else None
+
 def _clearly_past_or_live(game: dict, kickoff: datetime, now: datetime) -> bool:
     if game.get("completed") is True:
         return True
@@ -102,7 +258,7 @@ async def _fetch_odds(sport: str):
     params = {
         "apiKey": ODDS_API_KEY,
         "regions": "us,us2",
-        "markets": "h2h,spreads",
+        "markets": "h2h,spreads,totals",
         "oddsFormat": "american",
         "dateFormat": "iso",
         "daysFrom": 8,
@@ -111,17 +267,31 @@ async def _fetch_odds(sport: str):
         r = await c.get(f"{ODDS_API_BASE}/{sport}/odds", params=params)
         return r.json()
 
-async def _get_cached_odds(sport: str):
-    """Return cached odds if within cache duration."""
-    now = time.time()
+def _fresh_cache(sport: str):
     cache = _odds_cache.get(sport)
-    if cache and now - cache["timestamp"] < CACHE_DURATION:
+    if cache and time.time() - cache["timestamp"] < CACHE_DURATION:
+        return cache
+    return None
+
+async def _get_cached_odds(sport: str):
+    """
+    Return cached odds if within cache duration. One refresh per sport at a
+    time: callers that find the cache expired while another refresh is in
+    flight wait for it instead of spending their own Odds API credits.
+    """
+    cache = _fresh_cache(sport)
+    if cache:
         print(f"[CACHE] Using cached odds for {sport}")
         return cache["data"]
-    print(f"[FETCH] Refreshing odds for {sport}")
-    data = await _fetch_odds(sport)
-    _odds_cache[sport] = {"data": data, "timestamp": now}
-    return data
+    async with _odds_locks.setdefault(sport, asyncio.Lock()):
+        cache = _fresh_cache(sport)
+        if cache:
+            return cache["data"]
+        print(f"[FETCH] Refreshing odds for {sport}")
+        now = time.time()
+        data = await _fetch_odds(sport)
+        _odds_cache[sport] = {"data": data, "timestamp": now}
+        return data
 
 # === Routes ===
 @app.get("/")
@@ -131,12 +301,17 @@ def home():
 def health():
     return {"status": "ok", "timestamp": datetime.now().isoformat()}
 
-@app.get("/odds/{sport}")
-async def get_odds(sport: str):
-    if sport not in SUPPORTED_SPORTS:
-        return {"error": f"Unsupported sport: {sport}"}
+@app.get("/sports")
+def list_sports():
+    return {"sports": SPORTS}
 
-    data = await _get_cached_odds(sport)
+def _slate(sport: str, data):
+    """
+    Upcoming games with a moneyline, as served by /odds/{sport}. In three-way
+    sports a game without a draw price is skipped: pricing only home and away
+    would overstate both sides.
+    """
+    three_way = sport in THREE_WAY_SPORTS
     now = datetime.now(timezone.utc)
     grace = timedelta(minutes=15)
     future = timedelta(days=8)
@@ -149,68 +324,310 @@ async def get_odds(sport: str):
         if _clearly_past_or_live(g, kickoff, now):
             continue
 
-        home_ml, away_ml = _h2h_prices(g)
-        if home_ml is None or away_ml is None:
+        best = _best_h2h(g)
+        home_ml, away_ml = best["home"][0], best["away"][0]
+        draw_ml, draw_book = best["draw"] if three_way else (None, None)
+        if home_ml is None or away_ml is None or (three_way and draw_ml is None):
             continue
         home_sp, away_sp = _median_home_spread(g)
+        home_sp_price = home_sp_point = home_sp_book = None
+        away_sp_price = away_sp_point = away_sp_book = None
+        if home_sp is not None:
+            home_sp_price, home_sp_point, home_sp_book = _spread_price(g, g.get("home_team"), home_sp)
+            away_sp_price, away_sp_point, away_sp_book = _spread_price(g, g.get("away_team"), away_sp)
+        total = _median_total(g)
+        over_price = over_point = over_book = None
+        under_price = under_point = under_book = None
+        if total is not None:
+            over_price, over_point, over_book = _total_price(g, "over", total)
+            under_price, under_point, under_book = _total_price(g, "under", total)
         out.append({
             "game": f"{g.get('away_team')} vs {g.get('home_team')}",
             "home_team": g.get("home_team"),
             "away_team": g.get("away_team"),
             "home_odds": home_ml,
             "away_odds": away_ml,
+            "draw_odds": draw_ml,
             "home_spread": home_sp,
             "away_spread": away_sp,
+            "total": total,
             "commence": kickoff.isoformat().replace("+00:00", "Z"),
+            "best": {
+                "home_ml": best["home"][1], "away_ml": best["away"][1], "draw_ml": draw_book,
+                "home_spread": home_sp_book, "away_spread": away_sp_book,
+                "home_spread_price": home_sp_price, "away_spread_price": away_sp_price,
+                "home_spread_point": home_sp_point, "away_spread_point": away_sp_point,
+                "over": over_book, "under": under_book,
+                "over_price": over_price, "under_price": under_price,
+                "over_point": over_point, "under_point": under_point,
+            },
+            "bookmakers": _book_lines(g),
         })
 
     out.sort(key=lambda x: x["commence"])
-    return {"sport": sport, "games": out, "cache_age_sec": int(time.time() - _odds_cache[sport]["timestamp"])}
+    return out
+
+def _cache_age(sport: str) -> int:
+    return int(time.time() - _odds_cache[sport]["timestamp"])
+
+@app.get("/odds/{sport}")
+async def get_odds(sport: str):
+    if sport not in SUPPORTED_SPORTS:
+        return {"error": f"Unsupported sport: {sport}"}
+
+    data = await _get_cached_odds(sport)
+    return {"sport": sport, "games": _slate(sport, data), "cache_age_sec": _cache_age(sport)}
+
+@app.get("/odds/{sport}/stream")
+async def stream_odds(sport: str, request: Request):
+    """
+    Server-sent events for a sport's slate. Sends a `snapshot` event with the
+    full slate on connect, then an `odds` event with only the games that
+    changed (plus labels of games that dropped off) after each cache refresh,
+    or a `ping` when nothing changed so clients can tell the feed is alive.
+    While the Odds API fails it sends `stale` instead and keeps the stream open.
+    """
+    if sport not in SUPPORTED_SPORTS:
+        return {"error": f"Unsupported sport: {sport}"}
+
+    def _event(name: str, payload: dict) -> str:
+        return f"event: {name}\ndata: {json.dumps(payload)}\n\n"
+
+    async def events():
+        known = {}
+        first = True
+        while not await request.is_disconnected():
+            try:
+                data = await _get_cached_odds(sport)
+                if not isinstance(data, list):  # e.g. {"message": ...} from the Odds API
+                    raise ValueError(f"unexpected odds payload: {data}")
+                games = _slate(sport, data)
+            except Exception as e:
+                print(f"[STREAM] Odds unavailable for {sport}: {e}")
+                yield _event("stale", {"error": "Odds unavailable"})
+                await asyncio.sleep(STREAM_HEARTBEAT)
+                continue
+            current = {g["game"]: g for g in games}
+            if first:
+                yield _event("snapshot", {"sport": sport, "games": games, "cache_age_sec": _cache_age(sport)})
+                first = False
+            else:
+                changed = [g for k, g in current.items() if known.get(k) != g]
+                removed = [k for k in known if k not in current]
+                if changed or removed:
+                    yield _event("odds", {"sport": sport, "changed": changed, "removed": removed,
+                                          "cache_age_sec": _cache_age(sport)})
+                else:
+                    yield _event("ping", {"cache_age_sec": _cache_age(sport)})
+            known = current
+            await asyncio.sleep(STREAM_HEARTBEAT)
+
+    return StreamingResponse(events(), media_type="text/event-stream",
+                             headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"})
 
 @app.post("/analyze")
-async def analyze(req: AnalysisRequest):
+async def analyze(req: AnalysisRequest, authorization: str | None = Header(None)):
+    user_id = await asyncio.to_thread(_user_id, authorization)
+    if not user_id:
+        return {"error": "Not authenticated"}
     if req.sport not in SUPPORTED_SPORTS:
         return {"error": f"Unsupported sport: {req.sport}"}
+    if req.market not in MARKETS:
+        return {"error": f"Unsupported market: {req.market}"}
 
     data = await _get_cached_odds(req.sport)
-    match = next((g for g in data if g.get("home_team") == req.home_team and g.get("away_team") == req.away_team), None)
+    match = _find_game(data, req.home_team, req.away_team)
     if not match:
         return {"error": "Game not found"}
 
-    home_ml, away_ml = _h2h_prices(match)
+    best = _best_h2h(match)
+    home_ml, away_ml = best["home"][0], best["away"][0]
+    draw_ml = best["draw"][0] if req.sport in THREE_WAY_SPORTS else None
     if home_ml is None or away_ml is None:
         return {"error": "Moneyline not available"}
+    if req.sport in THREE_WAY_SPORTS and draw_ml is None:
+        return {"error": "Draw price not available"}
 
-    home_sp, away_sp = _median_home_spread(match)
-    model_input = {
-        "home_team": req.home_team,
-        "away_team": req.away_team,
-        "home_odds": home_ml,
-        "away_odds": away_ml,
-    }
-    if req.market == "spread":
-        if home_sp is None:
-            return {"error": "Spread market not available"}
-        model_input["spread"] = home_sp
+    home_sp, _ = _median_home_spread(match)
+    if req.market == "spread" and home_sp is None:
+        return {"error": "Spread market not available"}
 
-    br = supabase.table("bankroll").select("*").limit(1).execute()
-    bankroll = br.data[0]["amount"] if br.data else 1000.0
-    result = analyze_game(model_input, bankroll)
+    bankroll = (await asyncio.to_thread(_current_bankroll, user_id))["amount"]
+    if req.market == "totals":
+        total = _median_total(match)
+        if total is None:
+            return {"error": "Totals market not available"}
+        over, _, _ = _total_price(match, "over", total)
+        under, _, _ = _total_price(match, "under", total)
+        if over is None or under is None:
+            return {"error": "Totals price not available"}
+        result = analyze_total(req.home_team, req.away_team, over, under)
+    elif req.market == "spread":
+        # Priced two-way on the spread prices at the median line, so EV and
+        # Kelly belong to the price returned below (and there is no draw).
+        home_price, _, _ = _spread_price(match, req.home_team, home_sp)
+        away_price, _, _ = _spread_price(match, req.away_team, -home_sp)
+        if home_price is None or away_price is None:
+            return {"error": "Spread price not available"}
+        result = analyze_game(req.home_team, req.away_team, home_price, away_price, "spread")
+    else:
+        result = analyze_game(req.home_team, req.away_team, home_ml, away_ml, "moneyline", draw_ml)
+    result["game"] = f"{req.away_team} vs {req.home_team}"
 
+    pick_odds, pick_point, pick_book = _pick_price(match, req.market, result["pick"])
+    if pick_odds is None:
+        return {"error": f"{req.market.capitalize()} price not available"}
     if req.market == "spread":
-        result["spread_value"] = home_sp
+        result["spread_value"] = pick_point
+    elif req.market == "totals":
+        result["total_value"] = pick_point
+
+    # Suggested stake only; nothing is recorded until the user places a bet.
+    result["odds"] = pick_odds
+    result["book"] = pick_book
+    result["wager"] = round(bankroll * result["kelly_fraction"], 2)
+    result["new_bankroll"] = round(bankroll - result["wager"], 2)
+    return result
 
-    supabase.table("bets").insert({
-        "game": result["game"],
-        "pick": result["pick"],
-        "result": "PENDING",
-        "wager": result["wager"],
-        "change": 0,
-        "new_bankroll": result["new_bankroll"],
-    }).execute()
+def _record_bet(user_id: str, stake: float, legs: list[dict]):
+    """Debit `stake` and store the bet at the confirmed `legs` (blocking)."""
+    if stake <= 0:
+        return {"error": "Stake must be positive and within your bankroll"}
+    _current_bankroll(user_id)  # first bet: create the row to debit
+    new_bankroll = _adjust_bankroll(user_id, -stake)
+    if new_bankroll is None:
+        return {"error": "Stake must be positive and within your bankroll"}
 
-    supabase.table("bankroll").update({"amount": result["new_bankroll"]}) \
-        .eq("id", br.data[0]["id"]).execute()
+    decimal = 1.0
+    for leg in legs:
+        decimal *= american_to_decimal(leg["odds"])
+    parlay = len(legs) > 1
 
-    print(f"[LockBox AI] ✅ Saved {req.market} pick: {result['pick']} ({result['game']})")
-    return result
+    try:
+        row = supabase.table("bets").insert({
+            "user_id": user_id,
+            "game": " + ".join(f"{l['away_team']} vs {l['home_team']}" for l in legs),
+            "pick": " + ".join(l["pick"] for l in legs),
+            "sport": legs[0]["sport"] if len({l["sport"] for l in legs}) == 1 else "mixed",
+            "market": "parlay" if parlay else legs[0]["market"],
+            "odds": decimal_to_american(decimal) if parlay else legs[0]["odds"],
+            "legs": legs,
+            "result": "PENDING",
+            "wager": stake,
+            "change": 0,
+            "new_bankroll": new_bankroll,
+        }).execute()
+    except Exception:
+        # No bet was recorded, so hand the stake back.
+        _adjust_bankroll(user_id, stake)
+        raise
+
+    bet = row.data[0] if row.data else None
+    print(f"[LockBox AI] ✅ Placed {'parlay' if parlay else legs[0]['market']} bet: {' + '.join(l['pick'] for l in legs)}")
+    return {"bet": bet, "bankroll": new_bankroll}
+
+@app.post("/bets")
+async def place_bet(req: PlaceBetRequest, authorization: str | None = Header(None)):
+    """
+    Record a straight bet or parlay and debit the stake. Each leg must still be
+    available at the price and line the user confirmed; otherwise nothing is
+    recorded and the current prices come back in `moved` for re-confirmation.
+    """
+    user_id = await asyncio.to_thread(_user_id, authorization)
+    if not user_id:
+        return {"error": "Not authenticated"}
+    if not req.legs:
+        return {"error": "Bet has no legs"}
+    games_seen = {(l.home_team, l.away_team) for l in req.legs}
+    if len(games_seen) != len(req.legs):
+        return {"error": "Parlay legs must come from different games"}
+
+    legs, moved = [], []
+    for i, leg in enumerate(req.legs):
+        if leg.sport not in SUPPORTED_SPORTS:
+            return {"error": f"Unsupported sport: {leg.sport}"}
+        if leg.market not in MARKETS:
+            return {"error": f"Unsupported market: {leg.market}"}
+        match = _find_game(await _get_cached_odds(leg.sport), leg.home_team, leg.away_team)
+        if not match:
+            return {"error": f"Game not found: {leg.away_team} vs {leg.home_team}"}
+        price, point, book = _pick_price(match, leg.market, leg.pick)
+        if price is None:
+            return {"error": f"No {leg.market} price for {leg.pick}"}
+        current = {
+            "odds": price, "book": book,
+            "spread_value": point if leg.market == "spread" else None,
+            "total_value": point if leg.market == "totals" else None,
+        }
+        if (price, current["spread_value"], current["total_value"]) != \
+                (leg.odds, leg.spread_value, leg.total_value):
+            moved.append({"index": i, **current})
+        legs.append({**leg.model_dump(), **current})
+
+    if moved:
+        return {"error": "Prices moved since you confirmed. Review the slip and confirm again.",
+                "moved": moved}
+
+    # Supabase calls block, so they run off the event loop.
+    return await asyncio.to_thread(_record_bet, user_id, round(req.stake, 2), legs)
+
+@app.get("/bankroll")
+def get_bankroll(authorization: str | None = Header(None)):
+    user_id = _user_id(authorization)
+    if not user_id:
+        return {"error": "Not authenticated"}
+    return {"amount": _current_bankroll(user_id)["amount"]}
+
+@app.get("/bets")
+def list_bets(authorization: str | None = Header(None)):
+    user_id = _user_id(authorization)
+    if not user_id:
+        return {"error": "Not authenticated"}
+    res = supabase.table("bets").select("*").eq("user_id", user_id) \
+        .order("created_at", desc=True).limit(500).execute()
+    return {"bets": res.data or []}
+
+@app.post("/bets/{bet_id}/settle")
+def settle_bet(bet_id: int, req: SettleRequest, authorization: str | None = Header(None)):
+    """Grade a PENDING bet and credit the bankroll with its return."""
+    user_id = _user_id(authorization)
+    if not user_id:
+        return {"error": "Not authenticated"}
+    outcome = req.result.upper()
+    if outcome not in ("WIN", "LOSS", "PUSH"):
+        return {"error": f"Invalid result: {req.result}"}
+
+    res = supabase.table("bets").select("*").eq("id", bet_id).eq("user_id", user_id).limit(1).execute()
+    if not res.data:
+        return {"error": "Bet not found"}
+    bet = res.data[0]
+    if bet.get("result") != "PENDING":
+        return {"error": "Bet already settled"}
+
+    wager = float(bet.get("wager") or 0)
+    if outcome == "WIN":
+        if bet.get("odds") is None:
+            return {"error": "Bet has no recorded odds"}
+        change = round(wager * payout_per_dollar(float(bet["odds"])), 2)
+    elif outcome == "LOSS":
+        change = -wager
+    else:
+        change = 0.0
+
+    # Only flips a bet that is still PENDING, so a second tab or a retry that
+    # passed the check above cannot credit the bankroll twice.
+    claimed = supabase.table("bets").update({
+        "result": outcome,
+        "change": change,
+        "settled_at": datetime.now(timezone.utc).isoformat(),
+    }).eq("id", bet_id).eq("result", "PENDING").execute()
+    if not claimed.data:
+        return {"error": "Bet already settled"}
+
+    # The stake was debited when the bet was placed, so return it on WIN/PUSH.
+    new_bankroll = _adjust_bankroll(user_id, wager + change if outcome != "LOSS" else 0)
+    updated = supabase.table("bets").update({"new_bankroll": new_bankroll}) \
+        .eq("id", bet_id).execute()
+
+    print(f"[LockBox AI] 🧾 Settled bet {bet_id}: {outcome} ({change:+.2f})")
+    return {"bet": updated.data[0] if updated.data else None, "bankroll": new_bankroll}
@@ -0,0 +1,6 @@
+-- Columns the History view needs to break bets down and settle them.
+alter table bets add column if not exists created_at timestamptz not null default now();
+alter table bets add column if not exists sport text;
+alter table bets add column if not exists market text;
+alter table bets add column if not exists odds numeric;
+alter table bets add column if not exists settled_at timestamptz;
@@ -0,0 +1,5 @@
+-- Scope bankrolls and bets to the Supabase auth user that owns them.
+alter table bankroll add column if not exists user_id uuid references auth.users (id);
+alter table bets add column if not exists user_id uuid references auth.users (id);
+create unique index if not exists bankroll_user_id_key on bankroll (user_id);
+create index if not exists bets_user_id_created_at_idx on bets (user_id, created_at desc);
@@ -0,0 +1,2 @@
+-- Parlays store their individual legs; straight bets store a single leg.
+alter table bets add column if not exists legs jsonb;
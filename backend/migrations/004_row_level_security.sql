@@ -0,0 +1,13 @@
+-- The browser holds the anon key, so limit it to reading the signed-in
+-- user's own rows. Every write goes through the backend, whose service role
+-- key bypasses row-level security.
+alter table bankroll enable row level security;
+alter table bets enable row level security;
+
+drop policy if exists bankroll_owner_select on bankroll;
+create policy bankroll_owner_select on bankroll
+  for select to authenticated using (user_id = auth.uid());
+
+drop policy if exists bets_owner_select on bets;
+create policy bets_owner_select on bets
+  for select to authenticated using (user_id = auth.uid());
@@ -0,0 +1,16 @@
+-- Move a bankroll by `p_delta` in one statement so concurrent bets and
+-- settlements cannot overwrite each other's balance. Returns the new amount,
+-- or null when the user has no bankroll or it would go negative.
+create or replace function adjust_bankroll(p_user_id uuid, p_delta numeric)
+returns numeric
+language sql
+as $$
+  update bankroll
+     set amount = round(amount + p_delta, 2)
+   where user_id = p_user_id
+     and amount + p_delta >= 0
+  returning amount;
+$$;
+
+-- Backend only (service role); browsers must not move their own balance.
+revoke execute on function adjust_bankroll(uuid, numeric) from public, anon, authenticated;
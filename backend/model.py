@@ -24,6 +24,18 @@ def payout_per_dollar(odds: float) -> float:
     return odds / 100 if odds > 0 else 100 / abs(odds)
 
 
+def american_to_decimal(odds: float) -> float:
+    """Total return per $1 stake, stake included."""
+    return 1 + payout_per_dollar(odds)
+
+
+def decimal_to_american(decimal: float) -> int:
+    """Inverse of american_to_decimal, rounded to a whole price."""
+    if decimal >= 2:
+        return round((decimal - 1) * 100)
+    return round(-100 / (decimal - 1))
+
+
 def ev_fraction(p_model: float, odds: float) -> float:
     """Expected value per $1 stake (fractional form)."""
     payoff = payout_per_dollar(odds)
@@ -42,58 +54,72 @@ def kelly_fraction(p_model: float, odds: float, scale: float = 0.25) -> float:
     return round(max(0, min(f * scale, 1)), 4)
 
 
-def analyze_game(home_team: str, away_team: str,
-                 home_odds: float, away_odds: float,
-                 market: str = "moneyline") -> dict:
+def _matchup_bias(first: str, second: str) -> float:
+    """Deterministic -0.10 … +0.10 lean, stable for the same matchup."""
+    hkey = sum(ord(c) for c in f"{first}-{second}") % 1000
+    return ((hkey % 21) - 10) / 100
+
+
+def _analyze_outcomes(prices: dict, names: dict, lean: str, opposite: str, bias: float) -> dict:
     """
-    Deterministic model using market odds as baseline, adds small bias for realism.
-    Stable output across refreshes.
+    Shared pick logic for every market. `prices` maps outcome keys to American
+    odds; the model moves `lean` off the no-vig line by the matchup bias and
+    `opposite` absorbs the difference, so a draw price stays at market.
     """
 
     # === Implied probabilities (no-vig normalisation) ===
-    p_home = implied_prob(home_odds)
-    p_away = implied_prob(away_odds)
-    z = p_home + p_away
-    p_home /= z
-    p_away /= z
-
-    # === Model bias (deterministic hash) ===
-    # Use simple reproducible hash for same matchup
-    hkey = sum(ord(c) for c in f"{home_team}-{away_team}") % 1000
-    bias = ((hkey % 21) - 10) / 100  # -0.10 … +0.10
-    model_home = min(max(p_home + bias * 0.1, 0.05), 0.95)
-    model_away = 1 - model_home
-
-    # === Compute Edge, EV, Kelly ===
-    edge_home = round((model_home - p_home) * 100, 2)
-    edge_away = round((model_away - p_away) * 100, 2)
-
-    ev_home = ev_percent(model_home, home_odds)
-    ev_away = ev_percent(model_away, away_odds)
-
-    k_home = kelly_fraction(model_home, home_odds)
-    k_away = kelly_fraction(model_away, away_odds)
-
-    # === Pick selection ===
-    if ev_home > ev_away:
-        pick = home_team
-        conf = model_home
-        ev = ev_home / 100
-        edge = edge_home
-        kelly = k_home
-    else:
-        pick = away_team
-        conf = model_away
-        ev = ev_away / 100
-        edge = edge_away
-        kelly = k_away
+    raw = {k: implied_prob(o) for k, o in prices.items()}
+    z = sum(raw.values())
+    fair = {k: p / z for k, p in raw.items()}
+
+    # === Model bias ===
+    model = dict(fair)
+    model[lean] = min(max(fair[lean] + bias * 0.1, 0.05), 0.95)
+    model[opposite] = 1 - sum(p for k, p in model.items() if k != opposite)
+
+    # === Compute Edge, EV, Kelly and pick the best EV ===
+    # Ties go to `opposite`, as they always have for the away side.
+    order = [opposite] + [k for k in prices if k != opposite]
+    ev = {k: ev_percent(model[k], prices[k]) for k in order}
+    best = max(order, key=lambda k: ev[k])
 
     # === Return consistent structure ===
+    # spread_value / total_value are filled in by the caller from the real line.
     return {
-        "pick": pick,
-        "confidence": round(conf, 3),
-        "expected_value": round(ev, 3),
-        "edge": round(edge, 2),
-        "kelly_fraction": kelly,
-        "spread_value": "-3.5" if market == "spread" else None,
+        "pick": names[best],
+        "confidence": round(model[best], 3),
+        "expected_value": round(ev[best] / 100, 3),
+        "edge": round((model[best] - fair[best]) * 100, 2),
+        "kelly_fraction": kelly_fraction(model[best], prices[best]),
+        "spread_value": None,
+        "no_vig": {k: round(p, 4) for k, p in fair.items()},
+        "model_prob": {k: round(p, 4) for k, p in model.items()},
     }
+
+
+def analyze_game(home_team: str, away_team: str,
+                 home_odds: float, away_odds: float,
+                 market: str = "moneyline",
+                 draw_odds: float | None = None) -> dict:
+    """
+    Deterministic model using market odds as baseline, adds small bias for realism.
+    Stable output across refreshes. Pass `draw_odds` for three-way (soccer)
+    moneylines; the pick can then be "Draw".
+    """
+    prices = {"home": home_odds, "away": away_odds}
+    if draw_odds is not None:
+        prices["draw"] = draw_odds
+    names = {"home": home_team, "away": away_team, "draw": "Draw"}
+    return _analyze_outcomes(prices, names, "home", "away",
+                             _matchup_bias(home_team, away_team))
+
+
+def analyze_total(home_team: str, away_team: str,
+                  over_odds: float, under_odds: float) -> dict:
+    """Over/under on the game total; picks "Over" or "Under"."""
+    # Reversed matchup so the totals lean is independent of the side lean.
+    result = _analyze_outcomes({"over": over_odds, "under": under_odds},
+                               {"over": "Over", "under": "Under"}, "over", "under",
+                               _matchup_bias(away_team, home_team))
+    result["total_value"] = None
+    return result
@@ -1,8 +1,17 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
-import App from "./srcv4/App";
+import SessionShell from "./srcv4/components/SessionShell";
 import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
-  <App />
+  <SessionShell />
 );
+
+// Dev builds skip the service worker so HMR is never served from cache.
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("/sw.js")
+      .catch((err) => console.error("❌ Service worker registration failed:", err));
+  });
+}
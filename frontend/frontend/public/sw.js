@@ -0,0 +1,94 @@
+// LockBox AI service worker: keeps the app shell available offline.
+// Odds and analysis data are cached by the app itself (srcv4/offline.js),
+// so cross-origin API calls pass straight through.
+
+const CACHE = "lockbox-shell-v2";
+const STATIC = ["/manifest.webmanifest", "/icon.svg", "/icon-192.png", "/icon-512.png"];
+
+// Same-origin <script src> and <link href> URLs in the built index.html:
+// the hashed JS/CSS bundles, modulepreloads, manifest and icons.
+const ASSET_RE = /<(?:script|link)\b[^>]*?\b(?:src|href)="(\/[^"]+)"/g;
+
+/**
+ * Store a good index.html response together with every asset it references,
+ * and drop bundles from earlier builds. The page's own bundle has already
+ * loaded by the time the worker installs, so it has to be fetched here or
+ * the first offline start would get HTML with no JS.
+ */
+async function cacheShell(res) {
+  const html = await res.clone().text();
+  const assets = [...new Set([...html.matchAll(ASSET_RE)].map((m) => m[1]))];
+  const cache = await caches.open(CACHE);
+  await cache.addAll(assets);
+  await cache.put("/index.html", res);
+
+  for (const req of await cache.keys()) {
+    const { pathname } = new URL(req.url);
+    if (pathname.startsWith("/assets/") && !assets.includes(pathname)) {
+      await cache.delete(req);
+    }
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      await (await caches.open(CACHE)).addAll(STATIC);
+      const res = await fetch("/index.html", { cache: "no-cache" });
+      if (!res.ok) throw new Error(`index.html: HTTP ${res.status}`);
+      await cacheShell(res);
+    })()
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  // Pages: network first so deploys show up, cached shell when offline.
+  // Only a good response may replace the shell; a 404 or proxy error page
+  // must never become what users see offline.
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          if (res.ok) {
+            event.waitUntil(
+              cacheShell(res.clone()).catch((err) =>
+                console.error("❌ Shell cache update failed:", err)
+              )
+            );
+          }
+          return res;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  // Hashed build assets never change, so serve from cache and fill on miss.
+  event.respondWith(
+    caches.match(request).then(
+      (hit) =>
+        hit ||
+        fetch(request).then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            event.waitUntil(caches.open(CACHE).then((c) => c.put(request, copy)));
+          }
+          return res;
+        })
+    )
+  );
+});
@@ -1,80 +1,400 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  MIN_KICKOFF_LEAD_MINUTES,
+  notificationsSupported,
+  requestNotifications,
+  useOddsAlerts,
+} from "./alerts";
+import { analyze, getOdds, isAbort } from "./api";
+import BestBets from "./components/BestBets";
+import BetSlip from "./components/BetSlip";
+import CompareGames from "./components/CompareGames";
+import GameCard from "./components/GameCard";
+import History from "./components/History";
+import PickDrawer from "./components/PickDrawer";
+import SlateToolbar from "./components/SlateToolbar";
+import { arrangeSlate, gameKey } from "./games";
+import { recordSnapshots } from "./lineHistory";
+import { subscribeOdds } from "./liveOdds";
+import { ODDS_FORMATS } from "./odds";
+import {
+  ageLabel,
+  enqueueAnalyze,
+  loadAnalyses,
+  loadQueue,
+  loadSlate,
+  saveAnalyses,
+  saveSlate,
+  takeQueue,
+  useOnline,
+} from "./offline";
+import { runPool } from "./pool";
+import { DEFAULT_SPORT, sportLabel, useSports } from "./sports";
+import { useUrlState } from "./urlState";
 import "./v4.css";
 
-const API_BASE = "https://lockbox-backend-tcuv.onrender.com";
+// Fallback poll interval while the live stream is down; matches the
+// backend's 60 s odds cache.
+const POLL_MS = 60000;
 
-export default function App() {
-  const [sport, setSport] = useState("americanfootball_nfl");
+// Most games that can be pinned side by side.
+const MAX_PINNED = 3;
+
+// Games analyzed at once in a slate run; each already sends three parallel
+// /analyze calls (moneyline, spread, totals).
+const SLATE_CONCURRENCY = 1;
+
+const FEED_LABELS = { live: "Live", stale: "Stale", connecting: "Connecting" };
+
+// Slate state kept in the query string; `game` is the expanded card's key.
+const URL_DEFAULTS = {
+  sport: DEFAULT_SPORT,
+  sort: "kickoff",
+  filter: "all",
+  q: "",
+  game: "",
+};
+
+export default function App({ session, onLogout }) {
+  const token = session.access_token;
+  const userId = session.user.id;
+  const [urlState, setUrlState] = useUrlState(URL_DEFAULTS);
+  const sports = useSports();
+  // Trust the URL until the sport list has loaded.
+  const sport =
+    sports.length === 0 || sports.some((s) => s.key === urlState.sport)
+      ? urlState.sport
+      : sports[0].key;
   const [games, setGames] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [activePick, setActivePick] = useState(null);
+  // Analysis results per game, keyed by gameKey(); survives sport switches
+  // and reloads. Requests still queued from an offline session show as such.
+  const [analyses, setAnalyses] = useState(() => {
+    const saved = loadAnalyses(userId);
+    for (const q of loadQueue(userId)) saved[q.key] = { loading: true, queued: true };
+    return saved;
+  });
+  const [slateProgress, setSlateProgress] = useState(null);
+  const [slip, setSlip] = useState([]);
+  const [lineHistory, setLineHistory] = useState({});
+  const [detailKey, setDetailKey] = useState(null);
+  const [pinned, setPinned] = useState([]);
+  const slateRun = useRef(null);
+  const [view, setView] = useState("slate");
+  const [oddsFormat, setOddsFormat] = useState(
+    () => localStorage.getItem("lockbox.oddsFormat") || "american"
+  );
+
+  const [feed, setFeed] = useState("connecting");
+  const online = useOnline();
+  // savedAt of the cached slate on screen; null while showing fresh odds.
+  const [cachedAt, setCachedAt] = useState(null);
+  const [alerts, setAlerts] = useState(() => {
+    const saved = JSON.parse(localStorage.getItem("lockbox.alerts") || "{}");
+    return { enabled: false, leadMinutes: 30, ...saved };
+  });
+
+  useEffect(() => {
+    localStorage.setItem("lockbox.oddsFormat", oddsFormat);
+  }, [oddsFormat]);
+
+  useEffect(() => {
+    localStorage.setItem("lockbox.alerts", JSON.stringify(alerts));
+  }, [alerts]);
+
+  useEffect(() => saveAnalyses(userId, analyses), [userId, analyses]);
+
+  useEffect(() => {
+    if (cachedAt == null && games.length > 0) saveSlate(sport, games);
+  }, [sport, games, cachedAt]);
+
+  const toggleAlerts = async () => {
+    if (alerts.enabled) {
+      setAlerts((a) => ({ ...a, enabled: false }));
+      return;
+    }
+    const granted = await requestNotifications();
+    setAlerts((a) => ({ ...a, enabled: granted }));
+    if (!granted) setError("Browser notifications are blocked for this site.");
+  };
+
+  const trackLines = useCallback(
+    (list) =>
+      recordSnapshots(sport, list)
+        .then((hist) => setLineHistory((prev) => ({ ...prev, ...hist })))
+        .catch((err) => console.error("❌ Line history error:", err)),
+    [sport]
+  );
 
   // === FETCH ODDS ===
-  const fetchOdds = async () => {
-    setLoading(true);
+  // Each fetch aborts the one before it, so a slow response for the previous
+  // sport can never land on top of the current one.
+  const oddsRequest = useRef(null);
+
+  const fetchOdds = useCallback(async ({ quiet = false } = {}) => {
+    oddsRequest.current?.abort();
+    const ctrl = new AbortController();
+    oddsRequest.current = ctrl;
+
+    if (!quiet) setLoading(true);
     setError(null);
     try {
-      const res = await fetch(`${API_BASE}/odds/${sport}`);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      setGames(data.games || []);
+      const data = await getOdds(sport, { signal: ctrl.signal });
+      const list = data.games || [];
+      setGames(list);
+      setCachedAt(null);
+      trackLines(list);
     } catch (err) {
+      if (isAbort(err)) return;
       console.error("❌ Error fetching odds:", err);
-      setError("Failed to load odds. Try again.");
+      const cached = loadSlate(sport);
+      if (cached) {
+        setGames(cached.games);
+        setCachedAt(cached.savedAt);
+      } else {
+        setError(`Failed to load odds: ${err.message}. Try again.`);
+      }
     } finally {
-      setLoading(false);
+      if (oddsRequest.current === ctrl) setLoading(false);
     }
-  };
+  }, [sport, trackLines]);
 
   useEffect(() => {
     fetchOdds();
-  }, [sport]);
+    return () => oddsRequest.current?.abort();
+  }, [fetchOdds]);
+
+  // === LIVE ODDS ===
+  // The stream patches only the cards whose lines moved; polling takes
+  // over whenever it is not live.
+  useEffect(
+    () =>
+      subscribeOdds(sport, {
+        onStatus: setFeed,
+        onSnapshot: (data) => {
+          setGames(data.games || []);
+          setCachedAt(null);
+          trackLines(data.games || []);
+        },
+        onChange: ({ changed = [], removed = [] }) => {
+          setGames((prev) => {
+            const byGame = new Map(prev.map((g) => [g.game, g]));
+            removed.forEach((label) => byGame.delete(label));
+            changed.forEach((g) => byGame.set(g.game, g));
+            return [...byGame.values()].sort((a, b) =>
+              (a.commence || "").localeCompare(b.commence || "")
+            );
+          });
+          trackLines(changed);
+        },
+      }),
+    [sport, trackLines]
+  );
+
+  useEffect(() => {
+    if (feed === "live") return undefined;
+    const timer = setInterval(() => fetchOdds({ quiet: true }), POLL_MS);
+    return () => clearInterval(timer);
+  }, [feed, fetchOdds]);
+
+  useOddsAlerts(sport, games, alerts);
+
+  const changeSport = (next) => {
+    slateRun.current?.abort();
+    setUrlState({ sport: next, game: "" });
+    setGames([]);
+    setCachedAt(null);
+    setPinned([]);
+    setDetailKey(null);
+  };
 
   // === ANALYZE GAME ===
-  const analyzeGame = async (g) => {
-    setActivePick({ game: g.game, loading: true });
-    try {
-      const mlBody = {
-        sport,
-        home_team: g.home_team,
-        away_team: g.away_team,
-        market: "moneyline",
-      };
-      const mlRes = await fetch(`${API_BASE}/analyze`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(mlBody),
-      });
-      const mlData = await mlRes.json();
-
-      const atsBody = {
-        sport,
-        home_team: g.home_team,
-        away_team: g.away_team,
-        market: "spread",
+  // Offline requests are queued (and survive reloads) until the connection
+  // returns; queued games may belong to another sport, hence `gameSport`.
+  const analyzeGame = useCallback(
+    async (g, { signal, sport: gameSport = sport } = {}) => {
+      const key = gameKey(gameSport, g);
+      const queue = () => {
+        enqueueAnalyze(userId, key, gameSport, g);
+        setAnalyses((prev) => ({
+          ...prev,
+          [key]: { loading: true, queued: true },
+        }));
       };
-      const atsRes = await fetch(`${API_BASE}/analyze`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(atsBody),
-      });
-      const atsData = await atsRes.json();
-
-      atsData.spread_value = atsData.spread_value || "-3.5";
-
-      setActivePick({
-        game: g.game,
-        loading: false,
-        moneyline: mlData,
-        spread: atsData,
-      });
-    } catch (err) {
-      console.error("❌ Analyze error:", err);
-      setActivePick({ game: g.game, error: true });
+      if (!navigator.onLine) {
+        queue();
+        return;
+      }
+
+      setAnalyses((prev) => ({ ...prev, [key]: { loading: true } }));
+      try {
+        const body = {
+          sport: gameSport,
+          home_team: g.home_team,
+          away_team: g.away_team,
+        };
+        // A missing spread or totals market should not hide the moneyline pick.
+        const optional = (market) =>
+          analyze({ ...body, market }, { token, signal }).catch((err) => {
+            if (isAbort(err)) throw err;
+            return { error: err.message };
+          });
+        const [mlData, atsData, totalsData] = await Promise.all([
+          analyze({ ...body, market: "moneyline" }, { token, signal }),
+          optional("spread"),
+          optional("totals"),
+        ]);
+
+        setAnalyses((prev) => ({
+          ...prev,
+          [key]: {
+            loading: false,
+            moneyline: mlData,
+            spread: atsData,
+            totals: totalsData,
+          },
+        }));
+      } catch (err) {
+        if (isAbort(err)) {
+          setAnalyses((prev) => {
+            const next = { ...prev };
+            delete next[key];
+            return next;
+          });
+          return;
+        }
+        // Dropped mid-request: keep it for when we reconnect.
+        if (!navigator.onLine) {
+          queue();
+          return;
+        }
+        console.error("❌ Analyze error:", err);
+        setAnalyses((prev) => ({ ...prev, [key]: { error: true } }));
+      }
+    },
+    [sport, token, userId]
+  );
+
+  // === ANALYZE SLATE ===
+  const analyzeSlate = async () => {
+    const pending = games.filter((g) => {
+      const a = analyses[gameKey(sport, g)];
+      return !a || a.error;
+    });
+    if (pending.length === 0) return;
+
+    const ctrl = new AbortController();
+    slateRun.current = ctrl;
+    setSlateProgress({ done: 0, total: pending.length });
+    await runPool(
+      pending,
+      SLATE_CONCURRENCY,
+      async (g) => {
+        await analyzeGame(g, { signal: ctrl.signal });
+        if (!ctrl.signal.aborted) {
+          setSlateProgress((p) => p && { ...p, done: p.done + 1 });
+        }
+      },
+      { signal: ctrl.signal }
+    );
+    if (slateRun.current === ctrl) {
+      slateRun.current = null;
+      setSlateProgress(null);
     }
   };
 
+  useEffect(() => () => slateRun.current?.abort(), []);
+
+  // === RECONNECT ===
+  // Refresh the slate when the connection returns, and send queued analyze
+  // requests (including ones left from an earlier session) once the token is
+  // current: after a long offline spell it stays expired until supabase-js
+  // refreshes it and hands us a new session.
+  const wasOnline = useRef(online);
+  const expiresAt = session.expires_at;
+
+  useEffect(() => {
+    if (!online) {
+      wasOnline.current = false;
+      return;
+    }
+    if (!wasOnline.current) {
+      wasOnline.current = true;
+      fetchOdds({ quiet: true });
+    }
+  }, [online, fetchOdds]);
+
+  useEffect(() => {
+    if (!online || (expiresAt != null && expiresAt * 1000 <= Date.now())) {
+      return;
+    }
+    const queued = takeQueue(userId);
+    if (queued.length > 0) {
+      runPool(queued, SLATE_CONCURRENCY, (q) =>
+        analyzeGame(q.game, { sport: q.sport })
+      );
+    }
+  }, [online, expiresAt, userId, analyzeGame]);
+
+  // === BET SLIP ===
+  const addToSlip = (g, market, r) => {
+    const id = `${gameKey(sport, g)}|${market}`;
+    const leg = {
+      id,
+      sport,
+      home_team: g.home_team,
+      away_team: g.away_team,
+      market,
+      pick: r.pick,
+      odds: r.odds,
+      // EV, Kelly and win (or cover) probability as /analyze priced them.
+      ev: r.expected_value,
+      kelly: r.kelly_fraction,
+      prob: r.confidence,
+      spread_value: market === "spread" ? r.spread_value : null,
+      total_value: market === "totals" ? r.total_value : null,
+      book: r.book,
+    };
+    setSlip((prev) => [...prev.filter((l) => l.id !== id), leg]);
+  };
+
+  const removeFromSlip = (id) =>
+    setSlip((prev) => prev.filter((l) => l.id !== id));
+
+  const updateSlipLeg = (id, patch) =>
+    setSlip((prev) => prev.map((l) => (l.id === id ? { ...l, ...patch } : l)));
+
+  const slate = useMemo(
+    () => arrangeSlate(sport, games, analyses, urlState),
+    [sport, games, analyses, urlState]
+  );
+  const shownCount = slate.reduce((n, d) => n + d.games.length, 0);
+
+  const togglePin = (g) => {
+    const key = gameKey(sport, g);
+    setPinned((prev) =>
+      prev.includes(key)
+        ? prev.filter((k) => k !== key)
+        : prev.length < MAX_PINNED
+          ? [...prev, key]
+          : prev
+    );
+  };
+
+  const byKey = new Map(games.map((g) => [gameKey(sport, g), g]));
+  const pinnedGames = pinned.map((k) => byKey.get(k)).filter(Boolean);
+  const detailGame = detailKey && byKey.get(detailKey);
+  const closeDetails = useCallback(() => setDetailKey(null), []);
+
+  const toggleExpanded = (key) =>
+    setUrlState({ game: urlState.game === key ? "" : key });
+
+  const analyzedCount = games.filter((g) => {
+    const a = analyses[gameKey(sport, g)];
+    return a && !a.loading && !a.error;
+  }).length;
+
   // === RENDER ===
   return (
     <div className="v4-container">
@@ -84,129 +404,224 @@ export default function App() {
             <h1>⚡ LockBox AI v4</h1>
             <p>Smart Sports Picks — Dual Market Model (ML + ATS)</p>
           </div>
+          <div className="v4-user">
+            <span>{session.user?.email}</span>
+            <button onClick={onLogout}>Log out</button>
+          </div>
         </div>
 
+        <nav className="v4-tabs">
+          <button
+            className={view === "slate" ? "active" : ""}
+            onClick={() => setView("slate")}
+          >
+            Slate
+          </button>
+          <button
+            className={view === "history" ? "active" : ""}
+            onClick={() => setView("history")}
+          >
+            History
+          </button>
+        </nav>
+
+        {view === "slate" && (
+          <div className="v4-controls">
+            <select
+              value={sport}
+              onChange={(e) => changeSport(e.target.value)}
+              className="v4-select"
+            >
+              {(sports.length > 0
+                ? sports
+                : [{ key: sport, label: sportLabel(sport) }]
+              ).map((s) => (
+                <option key={s.key} value={s.key}>
+                  {s.label}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => fetchOdds()} disabled={loading}>
+              {loading ? "Loading…" : "Refresh Odds"}
+            </button>
+            <span className={`v4-feed v4-feed-${feed}`} title="Odds feed">
+              ● {FEED_LABELS[feed]}
+            </span>
+            <button
+              className="v4-analyze"
+              onClick={analyzeSlate}
+              disabled={loading || !!slateProgress || games.length === 0}
+            >
+              {slateProgress ? "Analyzing Slate…" : "Analyze Whole Slate"}
+            </button>
+          </div>
+        )}
+
         <div className="v4-controls">
+          {notificationsSupported && (
+            <>
+              <button
+                className={alerts.enabled ? "active" : ""}
+                onClick={toggleAlerts}
+              >
+                {alerts.enabled ? "🔔 Alerts On" : "🔕 Alerts Off"}
+              </button>
+              <label className="v4-inline-meta">
+                Kickoff alert{" "}
+                <input
+                  type="number"
+                  min={MIN_KICKOFF_LEAD_MINUTES}
+                  step="5"
+                  value={alerts.leadMinutes}
+                  onChange={(e) =>
+                    setAlerts((a) => ({
+                      ...a,
+                      leadMinutes: Number(e.target.value) || 30,
+                    }))
+                  }
+                  onBlur={() =>
+                    setAlerts((a) => ({
+                      ...a,
+                      leadMinutes: Math.max(
+                        MIN_KICKOFF_LEAD_MINUTES,
+                        a.leadMinutes
+                      ),
+                    }))
+                  }
+                  className="v4-minutes"
+                />{" "}
+                min before
+              </label>
+            </>
+          )}
           <select
-            value={sport}
-            onChange={(e) => setSport(e.target.value)}
+            value={oddsFormat}
+            onChange={(e) => setOddsFormat(e.target.value)}
             className="v4-select"
+            aria-label="Odds format"
           >
-            <option value="americanfootball_nfl">NFL</option>
-            <option value="americanfootball_ncaaf">NCAAF</option>
-            <option value="basketball_nba">NBA</option>
-            <option value="baseball_mlb">MLB</option>
-            <option value="icehockey_nhl">NHL</option>
+            {ODDS_FORMATS.map((f) => (
+              <option key={f.key} value={f.key}>
+                {f.label} odds
+              </option>
+            ))}
           </select>
-          <button onClick={fetchOdds} disabled={loading}>
-            {loading ? "Loading…" : "Refresh Odds"}
-          </button>
         </div>
       </header>
 
-      <main className="v4-main">
+      {view === "history" && (
+        <History token={token} oddsFormat={oddsFormat} />
+      )}
+
+      <main className="v4-main" hidden={view !== "slate"}>
+        {(!online || cachedAt != null) && (
+          <p className="v4-offline">
+            {online ? "⚠️ Odds server unreachable" : "📴 You're offline"}
+            {cachedAt != null &&
+              ` — showing the slate saved ${ageLabel(cachedAt)}`}
+            {!online && ". Analyze requests will be sent when you reconnect."}
+          </p>
+        )}
         {error && <p className="v4-error">{error}</p>}
         {games.length === 0 && !loading && !error && (
           <p className="v4-empty">No games available right now.</p>
         )}
 
-        <div className="v4-grid">
-          {games.map((g, idx) => {
-            const impliedHome =
-              g.home_odds > 0
-                ? 100 / (g.home_odds + 100)
-                : Math.abs(g.home_odds) / (Math.abs(g.home_odds) + 100);
-            const modelConf = Math.random() * 0.2 + 0.4;
-            const edge =
-              Math.round((modelConf * 100 - impliedHome * 100) * 100) / 100;
-            const upset = edge >= 3;
-
-            const isActive = activePick && activePick.game === g.game;
-            const highConf =
-              isActive &&
-              !activePick.loading &&
-              (activePick.moneyline?.confidence > 0.8 ||
-                activePick.spread?.confidence > 0.8);
-
-            return (
-              <div
-                key={idx}
-                className={`v4-card ${upset ? "upset" : ""} ${
-                  highConf ? "lockbox-lock" : ""
-                }`}
-              >
-                <h3>{g.game}</h3>
-                <p className="v4-odds">
-                  {g.away_team}{" "}
-                  {g.away_odds > 0 ? `+${g.away_odds}` : g.away_odds} |{" "}
-                  {g.home_team}{" "}
-                  {g.home_odds > 0 ? `+${g.home_odds}` : g.home_odds}
-                </p>
-                <p className="v4-edge">
-                  Edge vs Market: <strong>{edge.toFixed(2)} pp</strong>
-                </p>
-                {upset && <span className="v4-badge">🔺 UPSET ALERT</span>}
-
-                <button
-                  className="v4-analyze"
-                  onClick={() => analyzeGame(g)}
-                  disabled={isActive && activePick.loading}
-                >
-                  {isActive && activePick.loading
-                    ? "Analyzing…"
-                    : "Analyze Pick"}
-                </button>
-
-                {isActive && !activePick.loading && !activePick.error && (
-                  <div className="v4-inline-result">
-                    <div className="ml">
-                      <p className="v4-inline-label">💰 Moneyline Pick:</p>
-                      <p className="v4-inline-pick">
-                        {activePick.moneyline?.pick || "N/A"}
-                      </p>
-                      <p className="v4-inline-meta">
-                        Conf:{" "}
-                        {(activePick.moneyline?.confidence * 100 || 0).toFixed(
-                          1
-                        )}
-                        % {" | "}EV:{" "}
-                        {(activePick.moneyline?.expected_value * 100 || 0).toFixed(
-                          1
-                        )}
-                        %
-                      </p>
-                    </div>
-
-                    <div className="v4-divider"></div>
-
-                    <div className="ats">
-                      <p className="v4-inline-label">📏 ATS Pick:</p>
-                      <p className="v4-inline-pick">
-                        {activePick.spread?.pick || "N/A"}{" "}
-                        <span style={{ color: "#aaa", fontSize: "0.85rem" }}>
-                          ({activePick.spread?.spread_value})
-                        </span>
-                      </p>
-                      <p className="v4-inline-meta">
-                        Conf:{" "}
-                        {(activePick.spread?.confidence * 100 || 0).toFixed(1)}%
-                        {" | "}EV:{" "}
-                        {(activePick.spread?.expected_value * 100 || 0).toFixed(
-                          1
-                        )}%
-                      </p>
-                    </div>
-                  </div>
-                )}
-
-                {isActive && activePick.error && (
-                  <p className="v4-inline-error">Error analyzing game.</p>
-                )}
-              </div>
-            );
-          })}
-        </div>
+        {slateProgress && (
+          <div className="v4-progress">
+            <div
+              className="v4-progress-bar"
+              style={{
+                width: `${(slateProgress.done / slateProgress.total) * 100}%`,
+              }}
+            />
+            <span>
+              {slateProgress.done} / {slateProgress.total} games analyzed
+            </span>
+          </div>
+        )}
+
+        {analyzedCount > 0 && (
+          <BestBets
+            sport={sport}
+            games={games}
+            analyses={analyses}
+            oddsFormat={oddsFormat}
+          />
+        )}
+
+        {pinnedGames.length > 0 && (
+          <CompareGames
+            sport={sport}
+            games={pinnedGames}
+            analyses={analyses}
+            oddsFormat={oddsFormat}
+            onUnpin={togglePin}
+          />
+        )}
+
+        <BetSlip
+          legs={slip}
+          token={token}
+          active={view === "slate"}
+          oddsFormat={oddsFormat}
+          onRemove={removeFromSlip}
+          onUpdate={updateSlipLeg}
+          onClear={() => setSlip([])}
+        />
+
+        {games.length > 0 && (
+          <SlateToolbar
+            view={urlState}
+            onChange={setUrlState}
+            shown={shownCount}
+            total={games.length}
+          />
+        )}
+
+        {games.length > 0 && shownCount === 0 && (
+          <p className="v4-empty">No games match these filters.</p>
+        )}
+
+        {slate.map(({ day, games: dayGames }) => (
+          <section key={day} className="v4-day">
+            <h2 className="v4-day-label">{day}</h2>
+            <div className="v4-grid">
+              {dayGames.map((g) => {
+                const key = gameKey(sport, g);
+                return (
+                  <GameCard
+                    key={key}
+                    game={g}
+                    analysis={analyses[key]}
+                    history={lineHistory[key]}
+                    oddsFormat={oddsFormat}
+                    expanded={urlState.game === key}
+                    onToggleExpanded={() => toggleExpanded(key)}
+                    pinned={pinned.includes(key)}
+                    canPin={pinned.length < MAX_PINNED}
+                    onAnalyze={analyzeGame}
+                    onAddToSlip={addToSlip}
+                    onOpenDetails={() => setDetailKey(key)}
+                    onTogglePin={togglePin}
+                  />
+                );
+              })}
+            </div>
+          </section>
+        ))}
       </main>
+
+      {detailGame && (
+        <PickDrawer
+          game={detailGame}
+          analysis={analyses[detailKey]}
+          token={token}
+          oddsFormat={oddsFormat}
+          onAnalyze={analyzeGame}
+          onClose={closeDetails}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,94 @@
+// Opt-in browser notifications for games that newly cross the upset-edge
+// threshold or are about to kick off.
+
+import { useEffect, useRef } from "react";
+import { gameKey, kickoffTime } from "./games";
+import { UPSET_EDGE_PP, gameEdge } from "./odds";
+
+export const notificationsSupported = typeof Notification !== "undefined";
+
+// The backend drops games from the slate 15 minutes before kickoff, so the
+// lead time must be longer than that to fire while the game is still listed.
+export const MIN_KICKOFF_LEAD_MINUTES = 20;
+
+/** Ask for permission; resolves true only if notifications may be shown. */
+export async function requestNotifications() {
+  if (!notificationsSupported) return false;
+  if (Notification.permission === "granted") return true;
+  return (await Notification.requestPermission()) === "granted";
+}
+
+// Shown through the service worker when one is registered: Android Chrome
+// throws "Illegal constructor" for `new Notification()` even with permission.
+// Failures are logged, never thrown, since callers run inside effects.
+function notify(title, body, tag) {
+  if (!notificationsSupported || Notification.permission !== "granted") return;
+  const options = { body, tag, icon: "/icon-192.png" };
+  const fail = (err) => console.error("❌ Notification failed:", err);
+  const show = (registration) => {
+    try {
+      if (registration) {
+        return registration.showNotification(title, options).catch(fail);
+      }
+      new Notification(title, options);
+    } catch (err) {
+      fail(err);
+    }
+    return undefined;
+  };
+
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.getRegistration().then(show, () => show(null));
+  } else {
+    show(null);
+  }
+}
+
+/**
+ * Fire notifications for the current slate while `enabled`.
+ * Upset alerts need a prior observation below the threshold, so games that
+ * are already upsets when first seen do not alert.
+ */
+export function useOddsAlerts(sport, games, { enabled, leadMinutes }) {
+  const upsetState = useRef(new Map());
+  const kickoffSent = useRef(new Set());
+
+  useEffect(() => {
+    for (const g of games) {
+      const key = gameKey(sport, g);
+      const { upset, edge, team } = gameEdge(g);
+      if (enabled && upset && upsetState.current.get(key) === false) {
+        notify(
+          `🔺 Upset alert: ${team}`,
+          `${g.game} — model edge ${edge.toFixed(2)} pp (≥ ${UPSET_EDGE_PP})`,
+          `upset-${key}`
+        );
+      }
+      upsetState.current.set(key, upset);
+    }
+  }, [sport, games, enabled]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const check = () => {
+      const now = Date.now();
+      for (const g of games) {
+        const key = gameKey(sport, g);
+        const until = new Date(g.commence).getTime() - now;
+        if (kickoffSent.current.has(key) || !(until > 0)) continue;
+        const lead = Math.max(leadMinutes, MIN_KICKOFF_LEAD_MINUTES);
+        if (until <= lead * 60000) {
+          kickoffSent.current.add(key);
+          notify(
+            `🕒 Starting soon: ${g.game}`,
+            `Kickoff at ${kickoffTime(g)} (in ${Math.ceil(until / 60000)} min)`,
+            `kickoff-${key}`
+          );
+        }
+      }
+    };
+    check();
+    const timer = setInterval(check, 60000);
+    return () => clearInterval(timer);
+  }, [sport, games, enabled, leadMinutes]);
+}
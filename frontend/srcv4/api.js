@@ -0,0 +1,138 @@
+// Single entry point for talking to the LockBox backend.
+//
+// VITE_API_BASE  overrides the backend URL (defaults to production).
+// VITE_API_MODE  set to "fixture" to serve recorded payloads from
+//                ./fixtures instead of the network.
+
+export const API_BASE = (
+  import.meta.env.VITE_API_BASE || "https://lockbox-backend-tcuv.onrender.com"
+).replace(/\/$/, "");
+
+export const FIXTURE_MODE = import.meta.env.VITE_API_MODE === "fixture";
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const BACKOFF_MS = 500;
+
+/**
+ * Raised for transport failures and for `{error: ...}` bodies sent with
+ * HTTP 200; `body` keeps the rest of such a body (e.g. `moved` legs).
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, retryable = false, body = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.retryable = retryable;
+    this.body = body;
+  }
+}
+
+export const isAbort = (err) => err?.name === "AbortError";
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const t = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(t);
+      reject(signal.reason);
+    });
+  });
+
+async function once(path, { method, body, token, signal, timeout }) {
+  const ctrl = new AbortController();
+  const onAbort = () => ctrl.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort);
+  const timer = setTimeout(
+    () => ctrl.abort(new ApiError("Request timed out", { retryable: true })),
+    timeout
+  );
+
+  try {
+    const headers = {};
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const res = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: ctrl.signal,
+    });
+    if (!res.ok) {
+      throw new ApiError(`HTTP ${res.status}`, {
+        status: res.status,
+        retryable: res.status >= 500 || res.status === 429,
+      });
+    }
+    return await res.json();
+  } catch (err) {
+    // Surface caller cancellation as-is; a timeout abort carries our ApiError.
+    if (signal?.aborted) throw err;
+    if (err instanceof ApiError) throw err;
+    if (ctrl.signal.reason instanceof ApiError) throw ctrl.signal.reason;
+    throw new ApiError(err.message || "Network error", { retryable: true });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Send a request and return the parsed JSON body.
+ *
+ * GETs retry transient failures with exponential backoff; other methods
+ * default to no retries because the backend may have already acted on them.
+ */
+export async function request(
+  path,
+  {
+    method = "GET",
+    body,
+    token,
+    signal,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = method === "GET" ? 2 : 0,
+  } = {}
+) {
+  if (FIXTURE_MODE) {
+    const { fixtureRequest } = await import("./fixtures");
+    const data = await fixtureRequest(path, { method, body });
+    if (signal?.aborted) throw signal.reason;
+    return unwrap(data);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return unwrap(await once(path, { method, body, token, signal, timeout }));
+    } catch (err) {
+      if (isAbort(err) || !err.retryable || attempt >= retries) throw err;
+      await sleep(BACKOFF_MS * 2 ** attempt, signal);
+    }
+  }
+}
+
+function unwrap(data) {
+  if (data && typeof data === "object" && data.error) {
+    throw new ApiError(data.error, { status: 200, body: data });
+  }
+  return data;
+}
+
+// === ENDPOINTS ===
+export const getSports = (opts) => request("/sports", opts);
+
+export const getOdds = (sport, opts) =>
+  request(`/odds/${encodeURIComponent(sport)}`, opts);
+
+export const analyze = (body, opts) =>
+  request("/analyze", { ...opts, method: "POST", body });
+
+export const getBets = (opts) => request("/bets", opts);
+
+export const getBankroll = (opts) => request("/bankroll", opts);
+
+export const placeBet = (body, opts) =>
+  request("/bets", { ...opts, method: "POST", body });
+
+export const settleBet = (betId, result, opts) =>
+  request(`/bets/${betId}/settle`, { ...opts, method: "POST", body: { result } });
@@ -0,0 +1,107 @@
+import React, { useMemo, useState } from "react";
+import { gameKey } from "../games";
+import { LOCK_CONFIDENCE, formatOdds, gameEdge, pickLabel } from "../odds";
+
+const MARKETS = [
+  { key: "moneyline", label: "ML" },
+  { key: "spread", label: "ATS" },
+  { key: "totals", label: "O/U" },
+];
+
+// Ranked board of every cached pick on the current slate.
+export default function BestBets({ sport, games, analyses, oddsFormat }) {
+  const [sortBy, setSortBy] = useState("ev");
+  const [filter, setFilter] = useState("all");
+
+  const rows = useMemo(() => {
+    const out = [];
+    for (const g of games) {
+      const key = gameKey(sport, g);
+      const a = analyses[key];
+      if (!a || a.loading || a.error) continue;
+      // Only the moneyline pick on the underdog itself is an upset.
+      const edge = gameEdge(g);
+      for (const m of MARKETS) {
+        const r = a[m.key];
+        if (!r || r.error || !r.pick) continue;
+        out.push({
+          id: `${key}|${m.key}`,
+          game: g.game,
+          market: m.label,
+          pick: pickLabel(r),
+          odds: r.odds,
+          confidence: r.confidence,
+          ev: r.expected_value,
+          lock: r.confidence > LOCK_CONFIDENCE,
+          upset:
+            edge.upset && m.key === "moneyline" && r.pick === edge.team,
+        });
+      }
+    }
+    return out
+      .filter((r) => filter === "all" || (filter === "locks" ? r.lock : r.upset))
+      .sort((a, b) =>
+        sortBy === "ev" ? b.ev - a.ev : b.confidence - a.confidence
+      );
+  }, [sport, games, analyses, sortBy, filter]);
+
+  return (
+    <div className="v4-panel v4-board">
+      <h3>🏆 Best Bets</h3>
+      <div className="v4-controls">
+        <select
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          className="v4-select"
+        >
+          <option value="ev">Sort by EV</option>
+          <option value="confidence">Sort by confidence</option>
+        </select>
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="v4-select"
+        >
+          <option value="all">All picks</option>
+          <option value="locks">🔒 Locks only</option>
+          <option value="upsets">🔺 Upset candidates</option>
+        </select>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="v4-empty">No analyzed picks match.</p>
+      ) : (
+        <table className="v4-table">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Game</th>
+              <th>Market</th>
+              <th>Pick</th>
+              <th>Price</th>
+              <th>Conf</th>
+              <th>EV</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={r.id} className={r.lock ? "v4-row-lock" : ""}>
+                <td>{i + 1}</td>
+                <td>{r.game}</td>
+                <td>{r.market}</td>
+                <td>
+                  {r.pick}
+                  {r.lock && " 🔒"}
+                  {r.upset && " 🔺"}
+                </td>
+                <td>{formatOdds(r.odds, oddsFormat)}</td>
+                <td>{(r.confidence * 100).toFixed(1)}%</td>
+                <td>{(r.ev * 100).toFixed(1)}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
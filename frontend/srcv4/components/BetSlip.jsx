@@ -0,0 +1,251 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { getBankroll, placeBet } from "../api";
+import {
+  evFraction,
+  formatOdds,
+  kellyFraction,
+  parlay,
+  pickLabel,
+} from "../odds";
+
+const money = (n) => `$${(Number(n) || 0).toFixed(2)}`;
+
+const legBody = (l) => ({
+  sport: l.sport,
+  home_team: l.home_team,
+  away_team: l.away_team,
+  market: l.market,
+  pick: l.pick,
+  odds: l.odds,
+  spread_value: l.spread_value,
+  total_value: l.total_value,
+});
+
+// A leg at the price the backend now quotes. EV and Kelly are re-derived
+// from the model probability where there is one, and left blank otherwise.
+const repriced = (l, current) => ({
+  ...current,
+  ev: l.prob == null ? null : evFraction(l.prob, current.odds),
+  kelly: l.prob == null ? null : kellyFraction(l.prob, current.odds),
+});
+
+// Picks queued from analyzed cards. Nothing is recorded until Confirm.
+// The slip stays mounted while History is open, so the bankroll is re-read
+// each time it becomes `active` again (settling there moves it).
+export default function BetSlip({
+  legs,
+  token,
+  active,
+  oddsFormat,
+  onRemove,
+  onUpdate,
+  onClear,
+}) {
+  const [mode, setMode] = useState("straight");
+  const [stakes, setStakes] = useState({});
+  const [bankroll, setBankroll] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+  const [placing, setPlacing] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!active) return;
+    getBankroll({ token })
+      .then((d) => setBankroll(d.amount))
+      .catch((err) => console.error("❌ Bankroll error:", err));
+  }, [token, active]);
+
+  const sameGame =
+    new Set(legs.map((l) => `${l.away_team}@${l.home_team}`)).size !==
+    legs.length;
+  const canParlay = legs.length > 1 && !sameGame;
+  const isParlay = mode === "parlay" && canParlay;
+
+  const combo = useMemo(() => (canParlay ? parlay(legs) : null), [legs, canParlay]);
+
+  const suggest = (kelly) =>
+    bankroll == null ? 0 : Math.round(bankroll * kelly * 100) / 100;
+
+  const stakeFor = (id, kelly) => stakes[id] ?? suggest(kelly);
+
+  const tickets = isParlay
+    ? [{ id: "parlay", legs, stake: stakeFor("parlay", combo.kelly ?? 0) }]
+    : legs.map((l) => ({
+        id: l.id,
+        legs: [l],
+        stake: stakeFor(l.id, l.kelly ?? 0),
+      }));
+  const total = tickets.reduce((s, t) => s + Number(t.stake || 0), 0);
+
+  const setStake = (id) => (e) => {
+    setConfirming(false);
+    setStakes((s) => ({ ...s, [id]: e.target.value }));
+  };
+
+  // === PLACE BETS ===
+  const place = async () => {
+    if (!confirming) {
+      setConfirming(true);
+      return;
+    }
+    setPlacing(true);
+    setError(null);
+    let ticket = null;
+    try {
+      let placed = 0;
+      for (const t of tickets) {
+        ticket = t;
+        if (!(Number(t.stake) > 0)) continue;
+        const res = await placeBet(
+          { stake: Number(t.stake), legs: t.legs.map(legBody) },
+          { token }
+        );
+        // Drop each ticket as it lands so a retry after a failure cannot
+        // place it twice.
+        setBankroll(res.bankroll);
+        t.legs.forEach((l) => onRemove(l.id));
+        placed++;
+      }
+      setStakes({});
+      setNotice(`Placed ${isParlay ? "parlay" : `${placed} bet(s)`}.`);
+    } catch (err) {
+      const moved = err.body?.moved;
+      if (moved && ticket) {
+        // Keep the stake, swap in the new prices and make the user confirm
+        // again.
+        setStakes((s) => ({ ...s, [ticket.id]: ticket.stake }));
+        for (const { index, ...current } of moved) {
+          const leg = ticket.legs[index];
+          onUpdate(leg.id, repriced(leg, current));
+        }
+        setError(err.message);
+      } else {
+        console.error("❌ Place bet error:", err);
+        setError(`Could not place bet: ${err.message}`);
+      }
+    } finally {
+      setPlacing(false);
+      setConfirming(false);
+    }
+  };
+
+  if (legs.length === 0) {
+    return (
+      <aside className="v4-panel v4-slip">
+        <h3>🧾 Bet Slip</h3>
+        {notice && <p className="v4-inline-meta">{notice}</p>}
+        <p className="v4-empty">Add picks from analyzed games.</p>
+      </aside>
+    );
+  }
+
+  return (
+    <aside className="v4-panel v4-slip">
+      <h3>🧾 Bet Slip</h3>
+      <p className="v4-inline-meta">
+        Bankroll: {bankroll == null ? "—" : money(bankroll)}
+      </p>
+
+      <div className="v4-tabs">
+        <button
+          className={!isParlay ? "active" : ""}
+          onClick={() => setMode("straight")}
+        >
+          Straight
+        </button>
+        <button
+          className={isParlay ? "active" : ""}
+          onClick={() => setMode("parlay")}
+          disabled={!canParlay}
+          title={sameGame ? "Parlay legs must come from different games" : ""}
+        >
+          Parlay
+        </button>
+      </div>
+
+      <ul className="v4-slip-legs">
+        {legs.map((l) => (
+          <li key={l.id}>
+            <div>
+              <strong>{pickLabel(l)}</strong> @{" "}
+              {formatOdds(l.odds, oddsFormat)}
+              {l.book && ` (${l.book})`}
+              <span className="v4-inline-meta">
+                {" "}
+                · {l.market} · EV{" "}
+                {l.ev == null ? "—" : `${(l.ev * 100).toFixed(1)}%`}
+              </span>
+            </div>
+            <div className="v4-slip-actions">
+              {!isParlay && (
+                <label>
+                  $
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={stakeFor(l.id, l.kelly ?? 0)}
+                    onChange={setStake(l.id)}
+                  />
+                </label>
+              )}
+              <button onClick={() => onRemove(l.id)} aria-label="Remove leg">
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {isParlay && (
+        <div className="v4-slip-parlay">
+          <p>
+            {legs.length}-leg parlay @{" "}
+            <strong>{formatOdds(combo.odds, oddsFormat)}</strong>
+          </p>
+          {combo.prob == null ? (
+            <p className="v4-inline-meta">
+              No model hit rate for this parlay.
+            </p>
+          ) : (
+            <p className="v4-inline-meta">
+              Model hit rate {(combo.prob * 100).toFixed(1)}% · EV{" "}
+              {(combo.ev * 100).toFixed(1)}% · Kelly{" "}
+              {money(suggest(combo.kelly))}
+            </p>
+          )}
+          <label>
+            Stake $
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={stakeFor("parlay", combo.kelly ?? 0)}
+              onChange={setStake("parlay")}
+            />
+          </label>
+        </div>
+      )}
+
+      {error && <p className="v4-inline-error">{error}</p>}
+
+      <div className="v4-controls">
+        <button onClick={onClear} disabled={placing}>
+          Clear
+        </button>
+        <button
+          className="v4-analyze"
+          onClick={place}
+          disabled={placing || total <= 0 || bankroll == null}
+        >
+          {placing
+            ? "Placing…"
+            : confirming
+              ? `Confirm ${money(total)}`
+              : `Place ${isParlay ? "Parlay" : "Bets"} (${money(total)})`}
+        </button>
+      </div>
+    </aside>
+  );
+}
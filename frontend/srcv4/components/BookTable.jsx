@@ -0,0 +1,88 @@
+import React from "react";
+import { formatOdds } from "../odds";
+
+const pointLabel = (p) => (p == null ? "" : `${p > 0 ? "+" : ""}${p} `);
+
+// Every bookmaker's prices for one game, with the best price per side
+// (the one the slate and analysis use) highlighted.
+export default function BookTable({ game: g, oddsFormat }) {
+  const books = g.bookmakers || [];
+  if (books.length === 0) {
+    return <p className="v4-inline-meta">No bookmaker breakdown available.</p>;
+  }
+
+  const threeWay = g.draw_odds != null;
+  const isBest = {
+    home_ml: (b) => b.home_ml === g.home_odds,
+    away_ml: (b) => b.away_ml === g.away_odds,
+    draw_ml: (b) => b.draw_ml === g.draw_odds,
+    home_spread: (b) =>
+      b.home_spread === g.best?.home_spread_point &&
+      b.home_spread_price === g.best?.home_spread_price,
+    away_spread: (b) =>
+      b.away_spread === g.best?.away_spread_point &&
+      b.away_spread_price === g.best?.away_spread_price,
+    over: (b) =>
+      b.total === g.best?.over_point && b.over_price === g.best?.over_price,
+    under: (b) =>
+      b.total === g.best?.under_point && b.under_price === g.best?.under_price,
+  };
+
+  const withPoint = (point, price) =>
+    point == null ? "—" : `${pointLabel(point)}${formatOdds(price, oddsFormat)}`;
+
+  const cell = (b, field, content) => (
+    <td className={isBest[field](b) ? "v4-best" : ""}>{content}</td>
+  );
+
+  return (
+    <table className="v4-table v4-book-table">
+      <thead>
+        <tr>
+          <th>Book</th>
+          <th>{g.away_team} ML</th>
+          <th>{g.home_team} ML</th>
+          {threeWay && <th>Draw</th>}
+          <th>{g.away_team} ATS</th>
+          <th>{g.home_team} ATS</th>
+          <th>Over</th>
+          <th>Under</th>
+        </tr>
+      </thead>
+      <tbody>
+        {books.map((b) => (
+          <tr key={b.key}>
+            <td>{b.title}</td>
+            {cell(b, "away_ml", formatOdds(b.away_ml, oddsFormat))}
+            {cell(b, "home_ml", formatOdds(b.home_ml, oddsFormat))}
+            {threeWay && cell(b, "draw_ml", formatOdds(b.draw_ml, oddsFormat))}
+            {cell(
+              b,
+              "away_spread",
+              withPoint(b.away_spread, b.away_spread_price)
+            )}
+            {cell(
+              b,
+              "home_spread",
+              withPoint(b.home_spread, b.home_spread_price)
+            )}
+            {cell(
+              b,
+              "over",
+              b.total == null
+                ? "—"
+                : `o${b.total} ${formatOdds(b.over_price, oddsFormat)}`
+            )}
+            {cell(
+              b,
+              "under",
+              b.total == null
+                ? "—"
+                : `u${b.total} ${formatOdds(b.under_price, oddsFormat)}`
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
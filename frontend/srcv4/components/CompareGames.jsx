@@ -0,0 +1,96 @@
+import React from "react";
+import { gameKey, kickoffDay, kickoffTime } from "../games";
+import { formatOdds, gameEdge, pickLabel, sideBreakdown } from "../odds";
+
+const pct = (n) => (n == null ? "—" : `${(n * 100).toFixed(1)}%`);
+
+const pickCell = (r, oddsFormat) => {
+  if (!r || r.error || !r.pick) return "—";
+  return `${pickLabel(r)} @ ${formatOdds(r.odds, oddsFormat)} · EV ${pct(
+    r.expected_value
+  )}`;
+};
+
+// Pinned games side by side, one column each.
+export default function CompareGames({
+  sport,
+  games,
+  analyses,
+  oddsFormat,
+  onUnpin,
+}) {
+  const cols = games.map((g) => {
+    const a = analyses[gameKey(sport, g)];
+    const done = a && !a.loading && !a.error;
+    const [away, home, draw] = sideBreakdown(g, done ? a.moneyline : null);
+    return { g, a: done ? a : null, away, home, draw, edge: gameEdge(g) };
+  });
+  const threeWay = cols.some((c) => c.draw);
+
+  const rows = [
+    ["Kickoff", (c) => `${kickoffDay(c.g)} ${kickoffTime(c.g)}`],
+    [
+      "Moneyline",
+      (c) =>
+        `${formatOdds(c.g.away_odds, oddsFormat)} / ${formatOdds(
+          c.g.home_odds,
+          oddsFormat
+        )}`,
+    ],
+    threeWay && [
+      "Draw",
+      (c) =>
+        c.draw
+          ? `${formatOdds(c.draw.odds, oddsFormat)} · ${pct(
+              c.draw.noVig
+            )} no-vig / ${pct(c.draw.model)} model`
+          : "—",
+    ],
+    [
+      "Home spread",
+      (c) => (c.g.home_spread == null ? "spread unavailable" : c.g.home_spread),
+    ],
+    ["Total", (c) => (c.g.total == null ? "total unavailable" : c.g.total)],
+    ["No-vig (A / H)", (c) => `${pct(c.away.noVig)} / ${pct(c.home.noVig)}`],
+    ["Model (A / H)", (c) => `${pct(c.away.model)} / ${pct(c.home.model)}`],
+    ["Edge", (c) => `${c.edge.edge.toFixed(2)} pp (${c.edge.team})`],
+    ["ML pick", (c) => pickCell(c.a?.moneyline, oddsFormat)],
+    ["ATS pick", (c) => pickCell(c.a?.spread, oddsFormat)],
+    ["O/U pick", (c) => pickCell(c.a?.totals, oddsFormat)],
+  ].filter(Boolean);
+
+  return (
+    <div className="v4-panel v4-compare">
+      <h3>📌 Compare</h3>
+      <table className="v4-table">
+        <thead>
+          <tr>
+            <th></th>
+            {cols.map((c) => (
+              <th key={c.g.game}>
+                {c.g.game}{" "}
+                <button
+                  className="v4-compare-unpin"
+                  onClick={() => onUnpin(c.g)}
+                  aria-label={`Unpin ${c.g.game}`}
+                >
+                  ✕
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, cell]) => (
+            <tr key={label}>
+              <th>{label}</th>
+              {cols.map((c) => (
+                <td key={c.g.game}>{cell(c)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+import React, { useEffect, useRef, useState } from "react";
+import { kickoffTime } from "../games";
+import { lineMovement } from "../lineHistory";
+import { LOCK_CONFIDENCE, formatOdds, gameEdge } from "../odds";
+import BookTable from "./BookTable";
+import Sparkline from "./Sparkline";
+
+const pct = (n) => (n * 100 || 0).toFixed(1);
+
+export default function GameCard({
+  game: g,
+  analysis,
+  history,
+  oddsFormat,
+  expanded,
+  onToggleExpanded,
+  pinned,
+  canPin,
+  onAnalyze,
+  onAddToSlip,
+  onOpenDetails,
+  onTogglePin,
+}) {
+  const ref = useRef(null);
+  const [showBooks, setShowBooks] = useState(false);
+  const bookCount = g.bookmakers?.length || 0;
+  const { team: edgeTeam, edge, upset } = gameEdge(g);
+  const sharp = lineMovement(history)?.sharp;
+
+  const done = analysis && !analysis.loading && !analysis.error;
+  const highConf =
+    done &&
+    (analysis.moneyline?.confidence > LOCK_CONFIDENCE ||
+      analysis.spread?.confidence > LOCK_CONFIDENCE ||
+      analysis.totals?.confidence > LOCK_CONFIDENCE);
+  const spreadOk =
+    done && analysis.spread?.pick && analysis.spread.spread_value != null;
+  const totalsOk =
+    done && analysis.totals?.pick && analysis.totals.total_value != null;
+
+  // Bring a card expanded from a shared link into view.
+  useEffect(() => {
+    if (expanded) {
+      ref.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+    }
+  }, [expanded]);
+
+  return (
+    <div
+      ref={ref}
+      className={`v4-card ${upset ? "upset" : ""} ${
+        highConf ? "lockbox-lock" : ""
+      } ${expanded ? "v4-card-expanded" : ""}`}
+    >
+      <h3>
+        <button
+          className="v4-card-title"
+          onClick={onToggleExpanded}
+          aria-expanded={!!expanded}
+        >
+          {g.game}
+        </button>
+      </h3>
+      <p className="v4-kickoff">🕒 {kickoffTime(g)}</p>
+      <p className="v4-odds" title="Best available price across books">
+        {g.away_team} {formatOdds(g.away_odds, oddsFormat)} |{" "}
+        {g.draw_odds != null && <>Draw {formatOdds(g.draw_odds, oddsFormat)} | </>}
+        {g.home_team} {formatOdds(g.home_odds, oddsFormat)}
+      </p>
+      {g.total != null && (
+        <p
+          className="v4-odds"
+          title="Consensus total, then the best over / under price and its line"
+        >
+          O/U {g.total} · o{g.best?.over_point}{" "}
+          {formatOdds(g.best?.over_price, oddsFormat)} / u{g.best?.under_point}{" "}
+          {formatOdds(g.best?.under_price, oddsFormat)}
+        </p>
+      )}
+      <p className="v4-edge">
+        Edge vs Market: <strong>{edge.toFixed(2)} pp</strong>{" "}
+        <span className="v4-edge-side">({edgeTeam})</span>
+      </p>
+      {upset && <span className="v4-badge">🔺 UPSET ALERT</span>}
+      {sharp && <span className="v4-badge v4-badge-steam">♨️ SHARP MOVE</span>}
+
+      <Sparkline history={history} homeTeam={g.home_team} />
+
+      {bookCount > 0 && (
+        <button
+          className="v4-books-toggle"
+          onClick={() => setShowBooks((v) => !v)}
+          aria-expanded={showBooks}
+        >
+          🏦 {showBooks ? "Hide" : "Compare"} {bookCount} books
+        </button>
+      )}
+      {showBooks && <BookTable game={g} oddsFormat={oddsFormat} />}
+
+      {expanded && history?.length > 0 && (
+        <table
+          className="v4-table v4-line-table"
+          title="Consensus (median) prices across books"
+        >
+          <thead>
+            <tr>
+              <th>Seen</th>
+              <th>{g.away_team}</th>
+              <th>{g.home_team}</th>
+              <th>Home spread</th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...history].reverse().map((h) => (
+              <tr key={h.ts}>
+                <td>
+                  {new Date(h.ts).toLocaleString(undefined, {
+                    weekday: "short",
+                    hour: "numeric",
+                    minute: "2-digit",
+                  })}
+                </td>
+                <td>{formatOdds(h.away_odds, oddsFormat)}</td>
+                <td>{formatOdds(h.home_odds, oddsFormat)}</td>
+                <td>{h.home_spread ?? "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <button
+        className="v4-analyze"
+        onClick={() => onAnalyze(g)}
+        disabled={analysis?.loading}
+      >
+        {analysis?.queued
+          ? "Queued"
+          : analysis?.loading
+            ? "Analyzing…"
+            : done
+              ? "Re-analyze"
+              : "Analyze Pick"}
+      </button>
+
+      {analysis?.queued && (
+        <p className="v4-inline-meta">
+          📴 Queued — will analyze when you're back online.
+        </p>
+      )}
+
+      {done && (
+        <div className="v4-inline-result">
+          <div className="ml">
+            <p className="v4-inline-label">💰 Moneyline Pick:</p>
+            <p className="v4-inline-pick">
+              {analysis.moneyline?.pick || "N/A"}{" "}
+              {analysis.moneyline?.odds != null && (
+                <span style={{ color: "#aaa", fontSize: "0.85rem" }}>
+                  @ {formatOdds(analysis.moneyline.odds, oddsFormat)}
+                  {analysis.moneyline.book && ` (${analysis.moneyline.book})`}
+                </span>
+              )}
+            </p>
+            <p className="v4-inline-meta">
+              Conf: {pct(analysis.moneyline?.confidence)}% {" | "}EV:{" "}
+              {pct(analysis.moneyline?.expected_value)}%
+            </p>
+            {analysis.moneyline?.pick && (
+              <button
+                className="v4-slip-add"
+                onClick={() => onAddToSlip(g, "moneyline", analysis.moneyline)}
+              >
+                + Bet Slip
+              </button>
+            )}
+          </div>
+
+          <div className="v4-divider"></div>
+
+          <div className="ats">
+            <p className="v4-inline-label">📏 ATS Pick:</p>
+            {spreadOk ? (
+              <>
+                <p className="v4-inline-pick">
+                  {analysis.spread.pick}{" "}
+                  <span style={{ color: "#aaa", fontSize: "0.85rem" }}>
+                    ({analysis.spread.spread_value})
+                    {analysis.spread.odds != null &&
+                      ` @ ${formatOdds(analysis.spread.odds, oddsFormat)}`}
+                    {analysis.spread.book && ` (${analysis.spread.book})`}
+                  </span>
+                </p>
+                <p className="v4-inline-meta">
+                  Cover: {pct(analysis.spread.confidence)}%{" | "}EV:{" "}
+                  {pct(analysis.spread.expected_value)}%
+                </p>
+                <button
+                  className="v4-slip-add"
+                  onClick={() => onAddToSlip(g, "spread", analysis.spread)}
+                >
+                  + Bet Slip
+                </button>
+              </>
+            ) : (
+              <p className="v4-inline-meta">Spread unavailable</p>
+            )}
+          </div>
+
+          <div className="v4-divider"></div>
+
+          <div className="ou">
+            <p className="v4-inline-label">🎯 Totals Pick:</p>
+            {totalsOk ? (
+              <>
+                <p className="v4-inline-pick">
+                  {analysis.totals.pick} {analysis.totals.total_value}{" "}
+                  <span style={{ color: "#aaa", fontSize: "0.85rem" }}>
+                    {analysis.totals.odds != null &&
+                      `@ ${formatOdds(analysis.totals.odds, oddsFormat)}`}
+                    {analysis.totals.book && ` (${analysis.totals.book})`}
+                  </span>
+                </p>
+                <p className="v4-inline-meta">
+                  Conf: {pct(analysis.totals.confidence)}%{" | "}EV:{" "}
+                  {pct(analysis.totals.expected_value)}%
+                </p>
+                <button
+                  className="v4-slip-add"
+                  onClick={() => onAddToSlip(g, "totals", analysis.totals)}
+                >
+                  + Bet Slip
+                </button>
+              </>
+            ) : (
+              <p className="v4-inline-meta">Totals unavailable</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="v4-card-actions">
+        <button onClick={() => onOpenDetails(g)}>Details</button>
+        <button
+          className={pinned ? "active" : ""}
+          onClick={() => onTogglePin(g)}
+          disabled={!pinned && !canPin}
+        >
+          {pinned ? "📌 Pinned" : "📌 Compare"}
+        </button>
+      </div>
+
+      {analysis?.error && (
+        <p className="v4-inline-error">Error analyzing game.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { getBankroll, getBets, settleBet as postSettle } from "../api";
+import { formatOdds } from "../odds";
+import { MIXED_SPORT, sportLabel, useSports } from "../sports";
+
+const RESULTS = ["PENDING", "WIN", "LOSS", "PUSH"];
+
+const money = (n) =>
+  `${n < 0 ? "-" : ""}$${Math.abs(Number(n) || 0).toFixed(2)}`;
+
+const pct = (n) => (n == null ? "—" : `${(n * 100).toFixed(1)}%`);
+
+const fmtDate = (ts) => (ts ? new Date(ts).toLocaleDateString() : "—");
+
+// ROI and win rate over settled bets only; pushes count toward neither.
+function summarize(bets) {
+  const settled = bets.filter((b) => b.result !== "PENDING");
+  const wins = settled.filter((b) => b.result === "WIN").length;
+  const losses = settled.filter((b) => b.result === "LOSS").length;
+  const staked = settled.reduce((s, b) => s + Number(b.wager || 0), 0);
+  const profit = settled.reduce((s, b) => s + Number(b.change || 0), 0);
+  return {
+    count: bets.length,
+    settled: settled.length,
+    wins,
+    losses,
+    profit,
+    roi: staked > 0 ? profit / staked : null,
+    winRate: wins + losses > 0 ? wins / (wins + losses) : null,
+  };
+}
+
+export default function History({ token, oddsFormat }) {
+  const sports = useSports();
+  const [bets, setBets] = useState([]);
+  const [bankroll, setBankroll] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [settling, setSettling] = useState(null);
+  const [filters, setFilters] = useState({ sport: "", market: "", result: "" });
+
+  // === FETCH HISTORY ===
+  const fetchHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [betsData, brData] = await Promise.all([
+        getBets({ token }),
+        getBankroll({ token }),
+      ]);
+      setBets(betsData.bets || []);
+      setBankroll(brData.amount ?? null);
+    } catch (err) {
+      console.error("❌ Error fetching history:", err);
+      setError("Failed to load bet history. Try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  // === SETTLE BET ===
+  const settleBet = async (bet, result) => {
+    setSettling(bet.id);
+    try {
+      const data = await postSettle(bet.id, result, { token });
+      setBankroll(data.bankroll);
+      // The update can come back without the row; reload rather than drop it.
+      if (data.bet) {
+        setBets((prev) => prev.map((b) => (b.id === bet.id ? data.bet : b)));
+      } else {
+        fetchHistory();
+      }
+    } catch (err) {
+      console.error("❌ Settle error:", err);
+      setError(`Could not settle bet: ${err.message}`);
+    } finally {
+      setSettling(null);
+    }
+  };
+
+  const filtered = useMemo(
+    () =>
+      bets.filter(
+        (b) =>
+          (!filters.sport || b.sport === filters.sport) &&
+          (!filters.market || b.market === filters.market) &&
+          (!filters.result || b.result === filters.result)
+      ),
+    [bets, filters]
+  );
+
+  const chartData = useMemo(
+    () =>
+      bets
+        .filter((b) => b.result !== "PENDING" && b.settled_at)
+        .sort((a, b) => new Date(a.settled_at) - new Date(b.settled_at))
+        .map((b) => ({
+          date: fmtDate(b.settled_at),
+          bankroll: Number(b.new_bankroll),
+        })),
+    [bets]
+  );
+
+  const breakdown = useMemo(() => {
+    const groups = {};
+    for (const b of bets) {
+      const key = `${b.sport || "unknown"}|${b.market || "moneyline"}`;
+      (groups[key] = groups[key] || []).push(b);
+    }
+    return Object.entries(groups)
+      .map(([key, group]) => {
+        const [sport, market] = key.split("|");
+        return { sport, market, ...summarize(group) };
+      })
+      .sort((a, b) => b.count - a.count);
+  }, [bets]);
+
+  const totals = useMemo(() => summarize(bets), [bets]);
+
+  const setFilter = (name) => (e) =>
+    setFilters((f) => ({ ...f, [name]: e.target.value }));
+
+  // === RENDER ===
+  return (
+    <section className="v4-history">
+      <div className="v4-controls">
+        <button onClick={fetchHistory} disabled={loading}>
+          {loading ? "Loading…" : "Refresh History"}
+        </button>
+      </div>
+
+      {error && <p className="v4-error">{error}</p>}
+
+      <div className="v4-stats">
+        <div className="v4-stat">
+          <span className="v4-label">Bankroll</span>
+          <strong>{bankroll == null ? "—" : money(bankroll)}</strong>
+        </div>
+        <div className="v4-stat">
+          <span className="v4-label">Profit</span>
+          <strong>{money(totals.profit)}</strong>
+        </div>
+        <div className="v4-stat">
+          <span className="v4-label">ROI</span>
+          <strong>{pct(totals.roi)}</strong>
+        </div>
+        <div className="v4-stat">
+          <span className="v4-label">Win Rate</span>
+          <strong>{pct(totals.winRate)}</strong>
+        </div>
+      </div>
+
+      <div className="v4-panel">
+        <h3>Bankroll Over Time</h3>
+        {chartData.length === 0 ? (
+          <p className="v4-empty">Settle a bet to start the chart.</p>
+        ) : (
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={chartData}>
+              <CartesianGrid stroke="#222" strokeDasharray="3 3" />
+              <XAxis dataKey="date" stroke="#888" />
+              <YAxis stroke="#888" domain={["auto", "auto"]} />
+              <Tooltip
+                contentStyle={{ background: "#141414", border: "1px solid #333" }}
+                formatter={(v) => money(v)}
+              />
+              <Line
+                type="monotone"
+                dataKey="bankroll"
+                stroke="#00b7ff"
+                strokeWidth={2}
+                dot={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      <div className="v4-panel">
+        <h3>By Sport &amp; Market</h3>
+        <table className="v4-table">
+          <thead>
+            <tr>
+              <th>Sport</th>
+              <th>Market</th>
+              <th>Bets</th>
+              <th>W-L</th>
+              <th>Profit</th>
+              <th>ROI</th>
+              <th>Win Rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {breakdown.map((row) => (
+              <tr key={`${row.sport}-${row.market}`}>
+                <td>{sportLabel(row.sport)}</td>
+                <td>{row.market}</td>
+                <td>{row.count}</td>
+                <td>
+                  {row.wins}-{row.losses}
+                </td>
+                <td>{money(row.profit)}</td>
+                <td>{pct(row.roi)}</td>
+                <td>{pct(row.winRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="v4-panel">
+        <h3>Bets</h3>
+        <div className="v4-controls">
+          <select
+            value={filters.sport}
+            onChange={setFilter("sport")}
+            className="v4-select"
+          >
+            <option value="">All sports</option>
+            {sports.map((s) => (
+              <option key={s.key} value={s.key}>
+                {s.label}
+              </option>
+            ))}
+            <option value={MIXED_SPORT}>{sportLabel(MIXED_SPORT)} parlays</option>
+          </select>
+          <select
+            value={filters.market}
+            onChange={setFilter("market")}
+            className="v4-select"
+          >
+            <option value="">All markets</option>
+            <option value="moneyline">Moneyline</option>
+            <option value="spread">Spread</option>
+            <option value="totals">Totals</option>
+            <option value="parlay">Parlay</option>
+          </select>
+          <select
+            value={filters.result}
+            onChange={setFilter("result")}
+            className="v4-select"
+          >
+            <option value="">All results</option>
+            {RESULTS.map((r) => (
+              <option key={r} value={r}>
+                {r}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {filtered.length === 0 ? (
+          <p className="v4-empty">No bets match these filters.</p>
+        ) : (
+          <table className="v4-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Game</th>
+                <th>Pick</th>
+                <th>Market</th>
+                <th>Odds</th>
+                <th>Wager</th>
+                <th>Result</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map((b) => (
+                <tr key={b.id}>
+                  <td>{fmtDate(b.created_at)}</td>
+                  <td>{b.game}</td>
+                  <td>{b.pick}</td>
+                  <td>{b.market || "—"}</td>
+                  <td>{formatOdds(b.odds, oddsFormat)}</td>
+                  <td>{money(b.wager)}</td>
+                  <td>
+                    {b.result === "PENDING" ? (
+                      <span className="v4-settle">
+                        {["WIN", "LOSS", "PUSH"].map((r) => (
+                          <button
+                            key={r}
+                            onClick={() => settleBet(b, r)}
+                            disabled={settling === b.id}
+                          >
+                            {r}
+                          </button>
+                        ))}
+                      </span>
+                    ) : (
+                      <span className={`v4-result-${b.result.toLowerCase()}`}>
+                        {b.result}
+                      </span>
+                    )}
+                  </td>
+                  <td>{b.result === "PENDING" ? "—" : money(b.change)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from "react";
+import { getBankroll } from "../api";
+import { kickoffDay, kickoffTime } from "../games";
+import { formatOdds, pickLabel, sideBreakdown } from "../odds";
+
+const pct = (n) => (n == null ? "—" : `${(n * 100).toFixed(1)}%`);
+const money = (n) => `$${(Number(n) || 0).toFixed(2)}`;
+
+// Summary of one /analyze result with its stake against the live bankroll.
+// `probLabel` names what `confidence` is the probability of for this market.
+function MarketPick({
+  label,
+  probLabel = "Confidence",
+  result,
+  bankroll,
+  oddsFormat,
+  unavailable,
+}) {
+  if (unavailable) {
+    return (
+      <div className="v4-drawer-pick">
+        <h4>{label}</h4>
+        <p className="v4-inline-meta">{unavailable}</p>
+      </div>
+    );
+  }
+  return (
+    <div className="v4-drawer-pick">
+      <h4>{label}</h4>
+      <p className="v4-inline-pick">
+        {pickLabel(result)} @ {formatOdds(result.odds, oddsFormat)}
+        {result.book && (
+          <span className="v4-inline-meta"> at {result.book}</span>
+        )}
+      </p>
+      <dl className="v4-drawer-stats">
+        <dt>{probLabel}</dt>
+        <dd>{pct(result.confidence)}</dd>
+        <dt>Edge</dt>
+        <dd>{Number(result.edge).toFixed(2)} pp</dd>
+        <dt>EV</dt>
+        <dd>{pct(result.expected_value)}</dd>
+        <dt>Kelly (¼)</dt>
+        <dd>{pct(result.kelly_fraction)}</dd>
+        <dt>Suggested stake</dt>
+        <dd>
+          {bankroll == null ? "—" : money(bankroll * result.kelly_fraction)}
+        </dd>
+      </dl>
+    </div>
+  );
+}
+
+// Slide-over with the full model breakdown for one game.
+export default function PickDrawer({
+  game: g,
+  analysis,
+  token,
+  oddsFormat,
+  onAnalyze,
+  onClose,
+}) {
+  const [bankroll, setBankroll] = useState(null);
+
+  useEffect(() => {
+    getBankroll({ token })
+      .then((d) => setBankroll(d.amount))
+      .catch((err) => console.error("❌ Bankroll error:", err));
+  }, [token]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const done = analysis && !analysis.loading && !analysis.error;
+  const ml = done && !analysis.moneyline?.error ? analysis.moneyline : null;
+  const ats = done ? analysis.spread : null;
+  const ou = done ? analysis.totals : null;
+  const sides = sideBreakdown(g, ml);
+
+  return (
+    <div className="v4-drawer-backdrop" onClick={onClose}>
+      <aside
+        className="v4-drawer"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-label={`${g.game} breakdown`}
+      >
+        <button className="v4-drawer-close" onClick={onClose} aria-label="Close">
+          ✕
+        </button>
+        <h3>{g.game}</h3>
+        <p className="v4-inline-meta">
+          {kickoffDay(g)} · {kickoffTime(g)} · Bankroll{" "}
+          {bankroll == null ? "—" : money(bankroll)}
+        </p>
+
+        <table className="v4-table">
+          <thead>
+            <tr>
+              <th>Side</th>
+              <th>Price</th>
+              <th>No-vig</th>
+              <th>Model</th>
+              <th>Edge</th>
+              <th>EV</th>
+              <th>Stake</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sides.map((s) => (
+              <tr key={s.side}>
+                <td>{s.team}</td>
+                <td>{formatOdds(s.odds, oddsFormat)}</td>
+                <td>{pct(s.noVig)}</td>
+                <td>{pct(s.model)}</td>
+                <td>{s.edge.toFixed(2)} pp</td>
+                <td>{pct(s.ev)}</td>
+                <td>{bankroll == null ? "—" : money(bankroll * s.kelly)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="v4-inline-meta">
+          Spread:{" "}
+          {g.home_spread == null
+            ? "spread unavailable"
+            : `${g.home_team} ${g.home_spread > 0 ? "+" : ""}${g.home_spread}`}
+          {" · "}Total: {g.total == null ? "total unavailable" : g.total}
+        </p>
+
+        {!done ? (
+          <button
+            className="v4-analyze"
+            onClick={() => onAnalyze(g)}
+            disabled={analysis?.loading}
+          >
+            {analysis?.queued
+              ? "Queued until online"
+              : analysis?.loading
+                ? "Analyzing…"
+                : "Analyze Pick"}
+          </button>
+        ) : (
+          <>
+            <MarketPick
+              label="💰 Moneyline"
+              result={ml}
+              bankroll={bankroll}
+              oddsFormat={oddsFormat}
+              unavailable={!ml && "Moneyline unavailable"}
+            />
+            <MarketPick
+              label="📏 Spread"
+              probLabel="Cover prob."
+              result={ats}
+              bankroll={bankroll}
+              oddsFormat={oddsFormat}
+              unavailable={
+                (!ats || ats.error || ats.spread_value == null) &&
+                "Spread unavailable"
+              }
+            />
+            <MarketPick
+              label="🎯 Totals"
+              result={ou}
+              bankroll={bankroll}
+              oddsFormat={oddsFormat}
+              unavailable={
+                (!ou || ou.error || ou.total_value == null) &&
+                "Totals unavailable"
+              }
+            />
+          </>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from "react";
+import { FIXTURE_MODE } from "../api";
+import { isAuthRetryableFetchError } from "@supabase/supabase-js";
+import { AUTH_STORAGE_KEY, supabase } from "../supabaseClient";
+import App from "../App";
+import AuthUI from "./Auth";
+
+// Stand-in session so fixture mode works without reaching Supabase.
+const DEMO_SESSION = {
+  access_token: "fixture",
+  user: { id: "demo", email: "demo@lockbox.ai" },
+};
+
+// Session as last saved by supabase-js under our own storage key, even if
+// its access token expired.
+function storedSession() {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+// Renders the login form until Supabase reports a session, then the app.
+export default function SessionShell() {
+  if (FIXTURE_MODE) return <App session={DEMO_SESSION} onLogout={() => {}} />;
+  return <AuthedShell />;
+}
+
+function AuthedShell() {
+  const [session, setSession] = useState(undefined);
+
+  useEffect(() => {
+    // An expired token is refreshed on load. Offline that refresh fails and
+    // getSession() reports no session, but supabase-js keeps the stored one
+    // and retries later, so keep showing the app (and its cached slate)
+    // until a refresh succeeds or the user signs out.
+    supabase.auth.getSession().then(({ data, error }) => {
+      const keep =
+        !data.session &&
+        (!navigator.onLine || isAuthRetryableFetchError(error));
+      setSession(keep ? storedSession() : data.session);
+    });
+    // INITIAL_SESSION repeats the getSession() result above, minus the error.
+    const { data } = supabase.auth.onAuthStateChange((event, next) => {
+      if (event !== "INITIAL_SESSION") setSession(next);
+    });
+    return () => data.subscription.unsubscribe();
+  }, []);
+
+  if (session === undefined) {
+    return <p className="v4-empty">Loading…</p>;
+  }
+  if (!session) return <AuthUI />;
+
+  // Keyed by user so the next account on the device starts from its own
+  // offline state.
+  return (
+    <App
+      key={session.user.id}
+      session={session}
+      onLogout={() => supabase.auth.signOut()}
+    />
+  );
+}
@@ -0,0 +1,40 @@
+import React from "react";
+
+// Sort / filter / search controls for the game grid.
+export default function SlateToolbar({ view, onChange, shown, total }) {
+  return (
+    <div className="v4-toolbar">
+      <select
+        value={view.sort}
+        onChange={(e) => onChange({ sort: e.target.value })}
+        className="v4-select"
+        aria-label="Sort games"
+      >
+        <option value="kickoff">Sort: Kickoff</option>
+        <option value="edge">Sort: Edge</option>
+        <option value="favourite">Sort: Favourite price</option>
+      </select>
+      <select
+        value={view.filter}
+        onChange={(e) => onChange({ filter: e.target.value })}
+        className="v4-select"
+        aria-label="Filter games"
+      >
+        <option value="all">All games</option>
+        <option value="upsets">🔺 Upsets</option>
+        <option value="locks">🔒 Locks</option>
+      </select>
+      <input
+        type="search"
+        value={view.q}
+        onChange={(e) => onChange({ q: e.target.value })}
+        placeholder="Search teams…"
+        className="v4-search"
+        aria-label="Search teams"
+      />
+      <span className="v4-inline-meta">
+        {shown} of {total} games
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+import { Line, LineChart, ResponsiveContainer, YAxis } from "recharts";
+import { lineMovement, mlCents } from "../lineHistory";
+
+const signed = (n, digits = 0) =>
+  `${n > 0 ? "+" : ""}${Number(n).toFixed(digits)}`;
+
+// Consensus home moneyline (in cents) and home spread since the game was
+// first seen.
+export default function Sparkline({ history, homeTeam }) {
+  if (!history || history.length < 2) {
+    return <p className="v4-spark-empty">Tracking line movement…</p>;
+  }
+
+  const data = history.map((h) => ({
+    ts: h.ts,
+    ml: mlCents(h.home_odds),
+    spread: h.home_spread,
+  }));
+  const move = lineMovement(history);
+
+  return (
+    <div className="v4-spark">
+      <ResponsiveContainer width="100%" height={48}>
+        <LineChart data={data} margin={{ top: 4, right: 4, bottom: 4, left: 4 }}>
+          <YAxis yAxisId="ml" hide domain={["dataMin - 5", "dataMax + 5"]} />
+          <YAxis yAxisId="spread" hide domain={["dataMin - 0.5", "dataMax + 0.5"]} />
+          <Line
+            yAxisId="ml"
+            type="stepAfter"
+            dataKey="ml"
+            stroke="#00b7ff"
+            strokeWidth={1.5}
+            dot={false}
+            isAnimationActive={false}
+          />
+          <Line
+            yAxisId="spread"
+            type="stepAfter"
+            dataKey="spread"
+            stroke="#00ffa6"
+            strokeWidth={1.5}
+            dot={false}
+            connectNulls
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+      <p className="v4-spark-legend">
+        <span className="ml">
+          {homeTeam} ML {signed(move.homeMl)}¢
+        </span>{" "}
+        <span className="spread">Spread {signed(move.spread, 1)}</span>
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+// Recorded backend payloads for VITE_API_MODE=fixture. Responses mirror the
+// live routes, including `{error: ...}` bodies, so the UI runs unchanged.
+import analyzeFixtures from "./analyze.json";
+import betsFixture from "./bets.json";
+import sportsFixture from "./sports.json";
+
+const oddsFixtures = import.meta.glob("./odds/*.json", { import: "default" });
+
+const LATENCY_MS = 250;
+
+// Settling mutates this copy so History behaves like the real thing per session.
+const state = {
+  bankroll: betsFixture.bankroll,
+  bets: betsFixture.bets.map((b) => ({ ...b })),
+};
+
+const delay = () => new Promise((r) => setTimeout(r, LATENCY_MS));
+
+const payout = (odds) => (odds > 0 ? odds / 100 : 100 / Math.abs(odds));
+
+async function odds(sport) {
+  const load = oddsFixtures[`./odds/${sport}.json`];
+  if (!load) return { sport, games: [], cache_age_sec: 0 };
+  return load();
+}
+
+function analyze({ sport, home_team, away_team, market = "moneyline" }) {
+  const rec = analyzeFixtures[`${sport}|${home_team}|${away_team}|${market}`];
+  return rec ? { ...rec } : { error: "Game not found" };
+}
+
+// Best recorded price, line and book for one leg, mirroring _pick_price().
+async function price({ sport, home_team, away_team, market, pick }) {
+  const g = (await odds(sport)).games.find(
+    (x) => x.home_team === home_team && x.away_team === away_team
+  );
+  if (!g) return null;
+  if (market === "totals") {
+    const side = pick.toLowerCase();
+    if (g.total == null || !["over", "under"].includes(side)) return null;
+    return {
+      odds: g.best[`${side}_price`],
+      spread_value: null,
+      total_value: g.best[`${side}_point`],
+      book: g.best[side],
+    };
+  }
+  if (market === "moneyline" && pick === "Draw") {
+    if (g.draw_odds == null) return null;
+    return { odds: g.draw_odds, spread_value: null, book: g.best.draw_ml };
+  }
+  if (pick !== home_team && pick !== away_team) return null;
+  const side = pick === home_team ? "home" : "away";
+  if (market === "spread") {
+    if (g[`${side}_spread`] == null) return null;
+    return {
+      odds: g.best[`${side}_spread_price`],
+      spread_value: g.best[`${side}_spread_point`],
+      book: g.best[`${side}_spread`],
+    };
+  }
+  return { odds: g[`${side}_odds`], spread_value: null, book: g.best[`${side}_ml`] };
+}
+
+async function place({ stake, legs = [] }) {
+  if (legs.length === 0) return { error: "Bet has no legs" };
+  if (!(stake > 0) || stake > state.bankroll) {
+    return { error: "Stake must be positive and within your bankroll" };
+  }
+  const priced = [];
+  const moved = [];
+  for (const [index, leg] of legs.entries()) {
+    const p = await price(leg);
+    if (!p) return { error: `No ${leg.market} price for ${leg.pick}` };
+    const current = { spread_value: null, total_value: null, ...p };
+    if (
+      current.odds !== leg.odds ||
+      current.spread_value !== (leg.spread_value ?? null) ||
+      current.total_value !== (leg.total_value ?? null)
+    ) {
+      moved.push({ index, ...current });
+    }
+    priced.push({ ...leg, ...current });
+  }
+  if (moved.length > 0) {
+    return {
+      error: "Prices moved since you confirmed. Review the slip and confirm again.",
+      moved,
+    };
+  }
+  const decimal = priced.reduce((d, l) => d * (1 + payout(l.odds)), 1);
+  const american =
+    decimal >= 2
+      ? Math.round((decimal - 1) * 100)
+      : Math.round(-100 / (decimal - 1));
+
+  state.bankroll -= stake;
+  const bet = {
+    id: Math.max(0, ...state.bets.map((b) => b.id)) + 1,
+    created_at: new Date().toISOString(),
+    game: priced.map((l) => `${l.away_team} vs ${l.home_team}`).join(" + "),
+    pick: priced.map((l) => l.pick).join(" + "),
+    sport: priced[0].sport,
+    market: priced.length > 1 ? "parlay" : priced[0].market,
+    odds: priced.length > 1 ? american : priced[0].odds,
+    legs: priced,
+    result: "PENDING",
+    wager: stake,
+    change: 0,
+    new_bankroll: Math.round(state.bankroll * 100) / 100,
+    settled_at: null,
+  };
+  state.bets.unshift(bet);
+  return { bet: { ...bet }, bankroll: bet.new_bankroll };
+}
+
+function settle(id, result) {
+  const bet = state.bets.find((b) => b.id === id);
+  if (!bet) return { error: "Bet not found" };
+  if (bet.result !== "PENDING") return { error: "Bet already settled" };
+
+  const change =
+    result === "WIN"
+      ? Math.round(bet.wager * payout(bet.odds) * 100) / 100
+      : result === "LOSS"
+        ? -bet.wager
+        : 0;
+  if (result !== "LOSS") state.bankroll += bet.wager + change;
+  Object.assign(bet, {
+    result,
+    change,
+    new_bankroll: Math.round(state.bankroll * 100) / 100,
+    settled_at: new Date().toISOString(),
+  });
+  return { bet: { ...bet }, bankroll: bet.new_bankroll };
+}
+
+export async function fixtureRequest(path, { method = "GET", body } = {}) {
+  await delay();
+  let m;
+  if (method === "GET" && path === "/sports") return sportsFixture;
+  if (method === "GET" && (m = path.match(/^\/odds\/([^/]+)$/))) {
+    return odds(decodeURIComponent(m[1]));
+  }
+  if (method === "POST" && path === "/analyze") return analyze(body);
+  if (method === "GET" && path === "/bets") return { bets: state.bets };
+  if (method === "POST" && path === "/bets") return place(body);
+  if (method === "GET" && path === "/bankroll") {
+    return { amount: Math.round(state.bankroll * 100) / 100 };
+  }
+  if (method === "POST" && (m = path.match(/^\/bets\/(\d+)\/settle$/))) {
+    return settle(Number(m[1]), body?.result);
+  }
+  return { error: `No fixture for ${method} ${path}` };
+}
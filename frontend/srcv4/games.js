@@ -0,0 +1,74 @@
+// Helpers shared by the slate views for identifying and ranking games.
+
+import { LOCK_CONFIDENCE, gameEdge, impliedProb } from "./odds";
+
+/** Stable identity for a game across odds refreshes. */
+export const gameKey = (sport, g) => `${sport}|${g.away_team}@${g.home_team}`;
+
+/** Local calendar day of kickoff, e.g. "Sunday, Oct 25". */
+export const kickoffDay = (g) =>
+  g.commence
+    ? new Date(g.commence).toLocaleDateString(undefined, {
+        weekday: "long",
+        month: "short",
+        day: "numeric",
+      })
+    : "TBD";
+
+/** Local kickoff time, e.g. "1:00 PM". */
+export const kickoffTime = (g) =>
+  g.commence
+    ? new Date(g.commence).toLocaleTimeString(undefined, {
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "";
+
+// Implied probability of the game's favourite; higher = heavier favourite.
+const favouriteProb = (g) =>
+  Math.max(impliedProb(g.home_odds), impliedProb(g.away_odds));
+
+const SORTS = {
+  kickoff: (a, b) => (a.commence || "").localeCompare(b.commence || ""),
+  edge: (a, b) => gameEdge(b).edge - gameEdge(a).edge,
+  favourite: (a, b) => favouriteProb(b) - favouriteProb(a),
+};
+
+/**
+ * Apply the slate toolbar: team-name search, upset/lock filter and sort,
+ * then bucket by local kickoff day in chronological order.
+ */
+export function arrangeSlate(sport, games, analyses, { sort, filter, q }) {
+  const needle = (q || "").trim().toLowerCase();
+  const isLock = (g) => {
+    const a = analyses[gameKey(sport, g)];
+    return (
+      a &&
+      !a.loading &&
+      !a.error &&
+      (a.moneyline?.confidence > LOCK_CONFIDENCE ||
+        a.spread?.confidence > LOCK_CONFIDENCE ||
+        a.totals?.confidence > LOCK_CONFIDENCE)
+    );
+  };
+
+  const visible = games
+    .filter(
+      (g) =>
+        !needle ||
+        g.home_team.toLowerCase().includes(needle) ||
+        g.away_team.toLowerCase().includes(needle)
+    )
+    .filter((g) => {
+      if (filter === "upsets") return gameEdge(g).upset;
+      if (filter === "locks") return isLock(g);
+      return true;
+    })
+    .sort(SORTS[sort] || SORTS.kickoff);
+
+  const days = new Map();
+  const byKickoff = [...visible].sort(SORTS.kickoff);
+  for (const g of byKickoff) days.set(kickoffDay(g), []);
+  for (const g of visible) days.get(kickoffDay(g)).push(g);
+  return [...days].map(([day, list]) => ({ day, games: list }));
+}
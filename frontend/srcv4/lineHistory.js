@@ -0,0 +1,162 @@
+// Timestamped odds snapshots per game, persisted in IndexedDB so line
+// movement survives reloads. Falls back to memory if IndexedDB is missing.
+
+import { gameKey } from "./games";
+
+const DB_NAME = "lockbox";
+const DB_VERSION = 1;
+const STORE = "lineSnapshots";
+
+// Snapshots older than this are pruned; games are listed at most 8 days out.
+const MAX_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Move sizes that flag a card as steam.
+export const SHARP_SPREAD_PTS = 1.5;
+export const SHARP_ML_CENTS = 20;
+
+let dbPromise = null;
+const memory = new Map();
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB unavailable"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("game", "game");
+        store.createIndex("ts", "ts");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      console.warn("⚠️ Line history kept in memory only:", err.message);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+const done = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// American prices measured in "cents" either side of even money, so
+// -110 -> +110 is a 20-cent move rather than 220.
+export const mlCents = (odds) => (odds > 0 ? odds - 100 : odds + 100);
+
+const fromCents = (c) => (c >= 0 ? c + 100 : c - 100);
+
+/**
+ * Median moneyline for one side across books. `home_odds` / `away_odds` are
+ * the best price, which a single outlier or boosted book can move, so
+ * movement is tracked on the consensus instead. The median is taken in
+ * cents so prices either side of even money average sensibly.
+ */
+function consensusMl(g, side) {
+  const cents = (g.bookmakers || [])
+    .map((b) => b[`${side}_ml`])
+    .filter((p) => p != null)
+    .map(mlCents)
+    .sort((a, b) => a - b);
+  if (cents.length === 0) return g[`${side}_odds`];
+  const mid = Math.floor(cents.length / 2);
+  const median =
+    cents.length % 2 ? cents[mid] : (cents[mid - 1] + cents[mid]) / 2;
+  return fromCents(Math.round(median));
+}
+
+// Spreads are already the median line across books.
+const snapshotOf = (g, ts) => ({
+  ts,
+  home_odds: consensusMl(g, "home"),
+  away_odds: consensusMl(g, "away"),
+  home_spread: g.home_spread,
+});
+
+const sameLine = (a, b) =>
+  a &&
+  a.home_odds === b.home_odds &&
+  a.away_odds === b.away_odds &&
+  a.home_spread === b.home_spread;
+
+/**
+ * Append a snapshot for every game whose line changed since the last one,
+ * and return the full history per gameKey, oldest first.
+ */
+export async function recordSnapshots(sport, games, now = Date.now()) {
+  const db = await openDb();
+  const out = {};
+
+  if (!db) {
+    for (const g of games) {
+      const key = gameKey(sport, g);
+      const hist = memory.get(key) || [];
+      const snap = snapshotOf(g, now);
+      if (!sameLine(hist[hist.length - 1], snap)) hist.push(snap);
+      memory.set(key, hist);
+      out[key] = hist.slice();
+    }
+    return out;
+  }
+
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  for (const g of games) {
+    const key = gameKey(sport, g);
+    const hist = (await done(store.index("game").getAll(key))).sort(
+      (a, b) => a.ts - b.ts
+    );
+    const snap = { game: key, ...snapshotOf(g, now) };
+    if (!sameLine(hist[hist.length - 1], snap)) {
+      await done(store.add(snap));
+      hist.push(snap);
+    }
+    out[key] = hist;
+  }
+
+  const stale = IDBKeyRange.upperBound(now - MAX_AGE_MS);
+  const cursorReq = store.index("ts").openCursor(stale);
+  cursorReq.onsuccess = () => {
+    const cursor = cursorReq.result;
+    if (cursor) {
+      cursor.delete();
+      cursor.continue();
+    }
+  };
+
+  return out;
+}
+
+/**
+ * Movement since the first snapshot, and whether it is sharp enough to
+ * flag: a spread move of SHARP_SPREAD_PTS or a moneyline swing of
+ * SHARP_ML_CENTS on either side.
+ */
+export function lineMovement(history) {
+  if (!history || history.length < 2) return null;
+  const first = history[0];
+  const last = history[history.length - 1];
+  const spread =
+    first.home_spread != null && last.home_spread != null
+      ? last.home_spread - first.home_spread
+      : 0;
+  const homeMl = mlCents(last.home_odds) - mlCents(first.home_odds);
+  const awayMl = mlCents(last.away_odds) - mlCents(first.away_odds);
+  return {
+    spread,
+    homeMl,
+    awayMl,
+    sharp:
+      Math.abs(spread) >= SHARP_SPREAD_PTS ||
+      Math.max(Math.abs(homeMl), Math.abs(awayMl)) >= SHARP_ML_CENTS,
+  };
+}
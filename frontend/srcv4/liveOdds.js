@@ -0,0 +1,64 @@
+// Subscription to the backend's /odds/{sport}/stream server-sent events.
+
+import { API_BASE, FIXTURE_MODE } from "./api";
+
+// No event for this long marks the feed stale. The backend sends a
+// snapshot, odds or ping event at least every 15 s.
+const STALE_AFTER_MS = 45000;
+
+/**
+ * Open the odds stream for `sport`.
+ *
+ *   onSnapshot(payload)  full slate, sent on (re)connect
+ *   onChange(payload)    { changed: [game], removed: [game label] }
+ *   onStatus(status)     "connecting" | "live" | "stale"
+ *
+ * A `stale` event means the backend cannot reach the Odds API right now.
+ *
+ * Returns a function that closes the stream. In fixture mode there is no
+ * stream and the status stays "stale" so callers keep polling.
+ */
+export function subscribeOdds(sport, { onSnapshot, onChange, onStatus }) {
+  if (FIXTURE_MODE || typeof EventSource === "undefined") {
+    onStatus("stale");
+    return () => {};
+  }
+
+  onStatus("connecting");
+  const source = new EventSource(
+    `${API_BASE}/odds/${encodeURIComponent(sport)}/stream`
+  );
+  let staleTimer = null;
+
+  const touch = () => {
+    onStatus("live");
+    clearTimeout(staleTimer);
+    staleTimer = setTimeout(() => onStatus("stale"), STALE_AFTER_MS);
+  };
+
+  const parse = (handler) => (e) => {
+    touch();
+    try {
+      handler(JSON.parse(e.data));
+    } catch (err) {
+      console.error("❌ Bad odds event:", err);
+    }
+  };
+
+  const stale = () => {
+    clearTimeout(staleTimer);
+    onStatus("stale");
+  };
+
+  source.addEventListener("snapshot", parse(onSnapshot));
+  source.addEventListener("odds", parse(onChange));
+  source.addEventListener("ping", touch);
+  source.addEventListener("stale", stale);
+  // EventSource reconnects on its own; show stale until it does.
+  source.onerror = stale;
+
+  return () => {
+    clearTimeout(staleTimer);
+    source.close();
+  };
+}
@@ -0,0 +1,212 @@
+// Client-side odds math. Mirrors backend/model.py so the grid and the
+// /analyze results agree; keep the two in sync when the model changes.
+
+// Underdog edge (percentage points) at which a card gets the UPSET ALERT.
+export const UPSET_EDGE_PP = 0.5;
+
+// Confidence above which a pick is treated as a "lock".
+export const LOCK_CONFIDENCE = 0.8;
+
+/** Convert American odds to implied probability (vig included). */
+export function impliedProb(odds) {
+  if (odds > 0) return 100 / (odds + 100);
+  return Math.abs(odds) / (Math.abs(odds) + 100);
+}
+
+/**
+ * Implied probabilities for every outcome with the vig removed. `drawOdds`
+ * is only given for three-way markets; `draw` is omitted otherwise.
+ */
+export function noVig(homeOdds, awayOdds, drawOdds = null) {
+  const pHome = impliedProb(homeOdds);
+  const pAway = impliedProb(awayOdds);
+  const pDraw = drawOdds == null ? 0 : impliedProb(drawOdds);
+  const z = pHome + pAway + pDraw;
+  const out = { home: pHome / z, away: pAway / z };
+  if (drawOdds != null) out.draw = pDraw / z;
+  return out;
+}
+
+/** Profit per $1 stake (excluding stake). */
+export function payoutPerDollar(odds) {
+  return odds > 0 ? odds / 100 : 100 / Math.abs(odds);
+}
+
+/** Expected value per $1 stake (fractional form). */
+export function evFraction(pModel, odds) {
+  return pModel * payoutPerDollar(odds) - (1 - pModel);
+}
+
+/** Quarter-Kelly staking fraction, clamped to [0, 1]. */
+export function kellyFraction(pModel, odds, scale = 0.25) {
+  const b = payoutPerDollar(odds);
+  const f = (b * pModel - (1 - pModel)) / b;
+  return round(Math.max(0, Math.min(f * scale, 1)), 4);
+}
+
+/**
+ * Same deterministic matchup bias as analyze_game() in model.py, so a card
+ * shows the edge the backend would compute for it. In three-way markets the
+ * draw stays at its no-vig price and the away side absorbs the lean.
+ */
+export function modelProbs(homeTeam, awayTeam, homeOdds, awayOdds, drawOdds = null) {
+  const market = noVig(homeOdds, awayOdds, drawOdds);
+  let hkey = 0;
+  for (const c of `${homeTeam}-${awayTeam}`) hkey += c.codePointAt(0);
+  hkey %= 1000;
+  const bias = ((hkey % 21) - 10) / 100;
+  const home = Math.min(Math.max(market.home + bias * 0.1, 0.05), 0.95);
+  const out = { home, away: 1 - home - (market.draw || 0), market };
+  if (market.draw != null) out.draw = market.draw;
+  return out;
+}
+
+// Outcome keys a game's moneyline prices; away first so EV ties go to the
+// away side, as in model.py.
+const sidesOf = (g) =>
+  g.draw_odds == null ? ["away", "home"] : ["away", "home", "draw"];
+
+const priceOf = (g, side) => g[`${side}_odds`];
+
+const teamOf = (g, side) =>
+  side === "draw" ? "Draw" : side === "home" ? g.home_team : g.away_team;
+
+/**
+ * Edge summary for a game card: the outcome the model prefers by EV, its
+ * edge over the no-vig market in pp, and whether it is an upset candidate
+ * (a team, not the draw, that the market does not favour).
+ */
+export function gameEdge(g) {
+  const probs = modelProbs(
+    g.home_team,
+    g.away_team,
+    g.home_odds,
+    g.away_odds,
+    g.draw_odds
+  );
+  const sides = sidesOf(g);
+  const ev = Object.fromEntries(
+    sides.map((s) => [s, evFraction(probs[s], priceOf(g, s))])
+  );
+  // model.py compares EV percentages rounded to 2 places, so do the same or
+  // float noise picks the side when the matchup bias is zero.
+  const evPct = (s) => round(ev[s] * 100, 2);
+  const side = sides.reduce((best, s) => (evPct(s) > evPct(best) ? s : best));
+  const edge = round((probs[side] - probs.market[side]) * 100, 2);
+  const favourite = Math.max(...sides.map((s) => impliedProb(priceOf(g, s))));
+  const underdog = impliedProb(priceOf(g, side)) < favourite;
+  return {
+    side,
+    team: teamOf(g, side),
+    edge,
+    ev: ev[side],
+    upset: side !== "draw" && underdog && edge >= UPSET_EDGE_PP,
+  };
+}
+
+/**
+ * Every outcome of a game's moneyline (draw included for three-way
+ * markets): price, no-vig and model probability, edge (pp), EV and Kelly
+ * fraction. Uses the probabilities /analyze returned when given, otherwise
+ * the local mirror of the model.
+ */
+export function sideBreakdown(g, result) {
+  const local = modelProbs(
+    g.home_team,
+    g.away_team,
+    g.home_odds,
+    g.away_odds,
+    g.draw_odds
+  );
+  const noVigP = result?.no_vig || local.market;
+  const modelP = result?.model_prob || local;
+  return sidesOf(g).map((side) => {
+    const odds = priceOf(g, side);
+    return {
+      side,
+      team: teamOf(g, side),
+      odds,
+      noVig: noVigP[side],
+      model: modelP[side],
+      edge: round((modelP[side] - noVigP[side]) * 100, 2),
+      ev: evFraction(modelP[side], odds),
+      kelly: kellyFraction(modelP[side], odds),
+    };
+  });
+}
+
+/**
+ * A pick with its line: "Eagles (-5.5)" for spreads, "Over 47.5" for
+ * totals, the bare pick otherwise. Works on /analyze results and slip legs.
+ */
+export function pickLabel(r) {
+  if (r.total_value != null) return `${r.pick} ${r.total_value}`;
+  if (r.spread_value != null) return `${r.pick} (${r.spread_value})`;
+  return r.pick;
+}
+
+// === DISPLAY FORMATS ===
+export const ODDS_FORMATS = [
+  { key: "american", label: "American" },
+  { key: "decimal", label: "Decimal" },
+  { key: "fractional", label: "Fractional" },
+];
+
+/** Decimal odds (total return per $1, stake included). */
+export function toDecimal(odds) {
+  return 1 + payoutPerDollar(odds);
+}
+
+/** Inverse of toDecimal, rounded to a whole American price. */
+export function fromDecimal(decimal) {
+  return decimal >= 2
+    ? Math.round((decimal - 1) * 100)
+    : Math.round(-100 / (decimal - 1));
+}
+
+/**
+ * Combined price and model numbers for a parlay, treating legs as
+ * independent. Each leg needs `odds` (American) and `prob`, its win
+ * probability at that price. If any leg has no `prob`, `prob`, `ev` and
+ * `kelly` are null.
+ */
+export function parlay(legs) {
+  const decimal = legs.reduce((d, l) => d * toDecimal(l.odds), 1);
+  const odds = fromDecimal(decimal);
+  if (legs.some((l) => l.prob == null)) {
+    return { odds, decimal, prob: null, ev: null, kelly: null };
+  }
+  const prob = legs.reduce((p, l) => p * l.prob, 1);
+  return {
+    odds,
+    decimal,
+    prob,
+    ev: prob * decimal - 1,
+    kelly: kellyFraction(prob, odds),
+  };
+}
+
+/** Reduced fractional odds, e.g. -110 -> "10/11", +150 -> "3/2". */
+export function toFractional(odds) {
+  const [num, den] = odds > 0 ? [odds, 100] : [100, Math.abs(odds)];
+  const d = gcd(Math.round(num), Math.round(den));
+  return `${Math.round(num) / d}/${Math.round(den) / d}`;
+}
+
+/** Render an American price in the user's chosen format. */
+export function formatOdds(odds, format = "american") {
+  if (odds == null || Number.isNaN(Number(odds))) return "—";
+  const n = Number(odds);
+  if (format === "decimal") return toDecimal(n).toFixed(2);
+  if (format === "fractional") return toFractional(n);
+  return n > 0 ? `+${n}` : `${n}`;
+}
+
+function gcd(a, b) {
+  return b ? gcd(b, a % b) : a || 1;
+}
+
+function round(n, places) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
@@ -0,0 +1,88 @@
+// Offline support: the last slate per sport, finished analyses and a queue
+// of analyze requests made without a connection, all in localStorage.
+// Analyses and the queue belong to the signed-in user (stakes are sized
+// against their bankroll), so both are stored per user id.
+
+import { useEffect, useState } from "react";
+
+const SLATE_PREFIX = "lockbox.slate.";
+const ANALYSES_PREFIX = "lockbox.analyses.";
+const QUEUE_PREFIX = "lockbox.analyzeQueue.";
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Quota errors only cost us the offline copy, never the live view.
+const write = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn("⚠️ Offline cache not saved:", err.message);
+  }
+};
+
+/** Tracks navigator.onLine through the window online/offline events. */
+export function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+  return online;
+}
+
+// === SLATE ===
+export const saveSlate = (sport, games, savedAt = Date.now()) =>
+  write(SLATE_PREFIX + sport, { savedAt, games });
+
+/** Last saved slate for `sport` as `{ savedAt, games }`, or null. */
+export const loadSlate = (sport) => read(SLATE_PREFIX + sport, null);
+
+// === ANALYSES ===
+// Only finished results are kept; loading, queued and failed entries would
+// be wrong after a reload.
+export function saveAnalyses(userId, analyses) {
+  const done = {};
+  for (const [key, a] of Object.entries(analyses)) {
+    if (a && !a.loading && !a.error) done[key] = a;
+  }
+  write(ANALYSES_PREFIX + userId, done);
+}
+
+export const loadAnalyses = (userId) => read(ANALYSES_PREFIX + userId, {});
+
+// === ANALYZE QUEUE ===
+// Entries are `{ key, sport, game }`; one per game, newest request wins.
+export const loadQueue = (userId) => read(QUEUE_PREFIX + userId, []);
+
+export function enqueueAnalyze(userId, key, sport, game) {
+  const queue = loadQueue(userId).filter((q) => q.key !== key);
+  write(QUEUE_PREFIX + userId, [...queue, { key, sport, game }]);
+}
+
+/** Empty the user's queue and return what was in it. */
+export function takeQueue(userId) {
+  const queue = loadQueue(userId);
+  write(QUEUE_PREFIX + userId, []);
+  return queue;
+}
+
+/** "just now", "5 min ago", "3 h ago", "2 d ago". */
+export function ageLabel(savedAt, now = Date.now()) {
+  const min = Math.floor((now - savedAt) / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  if (min < 24 * 60) return `${Math.floor(min / 60)} h ago`;
+  return `${Math.floor(min / (24 * 60))} d ago`;
+}
@@ -0,0 +1,14 @@
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight. Stops
+ * handing out new items once `signal` aborts; in-flight calls finish.
+ */
+export async function runPool(items, limit, worker, { signal } = {}) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length && !signal?.aborted) {
+      const i = next++;
+      await worker(items[i], i);
+    }
+  });
+  await Promise.all(lanes);
+}
@@ -0,0 +1,59 @@
+// Sport list served by the backend's GET /sports, in selector order:
+// `{ key, label, three_way }`. The last good list is kept in localStorage so
+// the selector still works offline.
+
+import { useEffect, useState } from "react";
+import { getSports } from "./api";
+
+const CACHE_KEY = "lockbox.sports";
+
+// Selected until the list arrives, and the fallback for unknown URL sports.
+export const DEFAULT_SPORT = "americanfootball_nfl";
+
+let sports = (() => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || [];
+  } catch {
+    return [];
+  }
+})();
+let pending = null;
+
+/** Fetch the list once per page load; resolves to the cached list on failure. */
+export function loadSports() {
+  if (!pending) {
+    pending = getSports()
+      .then((data) => {
+        sports = data.sports || [];
+        localStorage.setItem(CACHE_KEY, JSON.stringify(sports));
+        return sports;
+      })
+      .catch((err) => {
+        console.error("❌ Error loading sports:", err);
+        pending = null;
+        return sports;
+      });
+  }
+  return pending;
+}
+
+/** The sport list, re-rendering once the backend's copy arrives. */
+export function useSports() {
+  const [list, setList] = useState(sports);
+  useEffect(() => {
+    let live = true;
+    loadSports().then((next) => live && setList(next));
+    return () => {
+      live = false;
+    };
+  }, []);
+  return list;
+}
+
+// `sport` recorded for a parlay whose legs span more than one sport.
+export const MIXED_SPORT = "mixed";
+
+export const sportLabel = (key) =>
+  key === MIXED_SPORT
+    ? "Mixed"
+    : sports.find((s) => s.key === key)?.label || key || "—";
@@ -0,0 +1,17 @@
+import { createClient } from "@supabase/supabase-js";
+import { FIXTURE_MODE } from "./api";
+
+// Where supabase-js keeps the session, so the app can still read it offline
+// when an expired token cannot be refreshed.
+export const AUTH_STORAGE_KEY = "lockbox.auth";
+
+// Public anon key only. Row-level security (migrations/004) lets it read
+// just the signed-in user's rows; all writes go through the backend.
+// Fixture mode runs without Supabase credentials, so no client is created.
+export const supabase = FIXTURE_MODE
+  ? null
+  : createClient(
+      import.meta.env.VITE_SUPABASE_URL,
+      import.meta.env.VITE_SUPABASE_ANON_KEY,
+      { auth: { storageKey: AUTH_STORAGE_KEY } }
+    );
@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState } from "react";
+
+function read(defaults) {
+  const params = new URLSearchParams(window.location.search);
+  const out = {};
+  for (const [k, v] of Object.entries(defaults)) out[k] = params.get(k) ?? v;
+  return out;
+}
+
+/**
+ * View state mirrored into the query string so links can be shared.
+ * Values equal to their default are left out of the URL.
+ */
+export function useUrlState(defaults) {
+  const [state, setState] = useState(() => read(defaults));
+
+  useEffect(() => {
+    const onPop = () => setState(read(defaults));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [defaults]);
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    for (const [k, v] of Object.entries(state)) {
+      if (v == null || v === "" || v === defaults[k]) params.delete(k);
+      else params.set(k, v);
+    }
+    const qs = params.toString();
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`
+    );
+  }, [state, defaults]);
+
+  const update = useCallback(
+    (patch) => setState((prev) => ({ ...prev, ...patch })),
+    []
+  );
+
+  return [state, update];
+}